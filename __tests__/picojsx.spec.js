@@ -5,6 +5,22 @@ import PicoJSX, {
 	h,
 	Fragment,
 	Component as PicoComponent,
+	PureComponent,
+	memo,
+	forwardRef,
+	flushSync,
+	unmount,
+	defineElement,
+	createContext,
+	createPortal,
+	useState,
+	useReducer,
+	useEffect,
+	useLayoutEffect,
+	useRef,
+	useMemo,
+	useCallback,
+	useContext,
 } from '../picojsx.js';
 import { jest } from '@jest/globals';
 
@@ -35,6 +51,12 @@ describe('h function - Virtual DOM', () => {
 		expect(vnode.props.id).toBe('test');
 	});
 
+	it('should keep falsy keys', () => {
+		expect(h('li', { key: 0 }).key).toBe(0);
+		expect(h('li', { key: '' }).key).toBe('');
+		expect(h('li', null).key).toBe(null);
+	});
+
 	it('should normalize text children to VNodes', () => {
 		const vnode = h('p', null, 'Text', 123, true, null, undefined);
 		// Should filter out null/undefined/boolean and convert to text nodes
@@ -50,15 +72,15 @@ describe('h function - Virtual DOM', () => {
 		expect(vnode.children).toHaveLength(2);
 	});
 
-	it('should call functional components immediately', () => {
+	it('should defer functional components until render', () => {
 		const FuncComp = jest.fn((props, children) => 
 			h('div', props, ...children)
 		);
 		
 		const vnode = h(FuncComp, { id: 'test' }, 'child');
 		
-		expect(FuncComp).toHaveBeenCalled();
-		expect(vnode.type).toBe('div');
+		expect(FuncComp).not.toHaveBeenCalled();
+		expect(vnode.type).toBe(FuncComp);
 		expect(vnode.props.id).toBe('test');
 	});
 
@@ -94,7 +116,7 @@ describe('Component class', () => {
 		const instance = new TestComponent({});
 		instance.update = jest.fn();
 		
-		instance.setState({ count: 5 });
+		flushSync(() => instance.setState({ count: 5 }));
 		expect(instance.state.count).toBe(5);
 		expect(instance.update).toHaveBeenCalled();
 	});
@@ -103,7 +125,7 @@ describe('Component class', () => {
 		const instance = new TestComponent({});
 		instance.update = jest.fn();
 		
-		instance.setState(prev => ({ count: prev.count + 1 }));
+		flushSync(() => instance.setState(prev => ({ count: prev.count + 1 })));
 		expect(instance.state.count).toBe(1);
 	});
 });
@@ -171,6 +193,60 @@ describe('Rendering', () => {
 		PicoJSX.render(h(ClassComp, { name: 'World' }), container);
 		expect(container.querySelector('p').textContent).toBe('Hello World');
 	});
+
+	it('should accept strings, arrays and objects for className and class', () => {
+		const render = active => PicoJSX.render(
+			h('div', null,
+				h('p', { className: ['item', active && 'active', ['big']] }),
+				h('p', { class: { item: true, active } }),
+				h('svg', { class: ['icon', { active }] })
+			),
+			container
+		);
+
+		render(true);
+		const [first, second] = container.querySelectorAll('p');
+		const svg = container.querySelector('svg');
+		expect(first.className).toBe('item active big');
+		expect(second.className).toBe('item active');
+		expect(svg.getAttribute('class')).toBe('icon active');
+
+		render(false);
+		expect(first.className).toBe('item big');
+		expect(second.className).toBe('item');
+		expect(svg.getAttribute('class')).toBe('icon');
+	});
+
+	it('should map htmlFor, tabIndex, readOnly and autoFocus to their attributes', () => {
+		PicoJSX.render(
+			h('form', null,
+				h('label', { htmlFor: 'name' }, 'Name'),
+				h('input', { id: 'name', tabIndex: 0, readOnly: true, autoFocus: true })
+			),
+			container
+		);
+
+		const label = container.querySelector('label');
+		const input = container.querySelector('input');
+		expect(label.getAttribute('for')).toBe('name');
+		expect(label.htmlFor).toBe('name');
+		expect(label.hasAttribute('htmlfor')).toBe(false);
+		expect(input.tabIndex).toBe(0);
+		expect(input.readOnly).toBe(true);
+		expect(input.autofocus).toBe(true);
+
+		PicoJSX.render(
+			h('form', null,
+				h('label', null, 'Name'),
+				h('input', { id: 'name', tabIndex: -1, readOnly: false })
+			),
+			container
+		);
+		expect(label.hasAttribute('for')).toBe(false);
+		expect(input.tabIndex).toBe(-1);
+		expect(input.readOnly).toBe(false);
+		expect(input.hasAttribute('autofocus')).toBe(false);
+	});
 });
 
 describe('Component Lifecycle', () => {
@@ -197,9 +273,6 @@ describe('Component Lifecycle', () => {
 		}
 		
 		PicoJSX.render(h(MountTest), container);
-		expect(didMount).not.toHaveBeenCalled();
-		
-		jest.runAllTimers();
 		expect(didMount).toHaveBeenCalledTimes(1);
 	});
 
@@ -238,13 +311,152 @@ describe('Component Lifecycle', () => {
 		jest.runAllTimers();
 		
 		const instance = container.querySelector('div')._picoInstance;
-		instance.setState({ count: 1 });
+		flushSync(() => instance.setState({ count: 1 }));
 		
 		expect(updateArgs).toEqual({
 			prevProps: { id: 'test' },
 			prevState: { count: 0 }
 		});
 	});
+
+	it('should derive state from props on mount, parent updates and setState', () => {
+		const seen = [];
+
+		class Derived extends PicoComponent {
+			static getDerivedStateFromProps(props, state) {
+				return { doubled: props.value * 2, calls: (state.calls || 0) + 1 };
+			}
+			constructor(props) {
+				super(props);
+				this.state = { own: 'a' };
+			}
+			shouldComponentUpdate(nextProps, nextState) {
+				seen.push(nextState.doubled);
+				return true;
+			}
+			render() {
+				return h('p', null, `${this.state.own} ${this.state.doubled} ${this.state.calls}`);
+			}
+		}
+
+		PicoJSX.render(h('div', null, h(Derived, { value: 1 })), container);
+		expect(container.querySelector('p').textContent).toBe('a 2 1');
+
+		PicoJSX.render(h('div', null, h(Derived, { value: 5 })), container);
+		expect(container.querySelector('p').textContent).toBe('a 10 2');
+		expect(seen).toEqual([10]);
+
+		const instance = container.querySelector('p')._picoInstance;
+		flushSync(() => instance.setState({ own: 'b' }));
+		expect(container.querySelector('p').textContent).toBe('b 10 3');
+		expect(seen).toEqual([10, 10]);
+	});
+
+	it('should pass the getSnapshotBeforeUpdate result to componentDidUpdate', () => {
+		const calls = [];
+
+		class Log extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { extra: [] };
+			}
+			getSnapshotBeforeUpdate(prevProps, prevState) {
+				calls.push(['snapshot', prevProps.lines.length, prevState.extra.length]);
+				return container.querySelectorAll('li').length;
+			}
+			componentDidUpdate(prevProps, prevState, snapshot) {
+				calls.push(['update', snapshot, container.querySelectorAll('li').length]);
+			}
+			render() {
+				return h('ul', null, [...this.props.lines, ...this.state.extra].map(line => h('li', { key: line }, line)));
+			}
+		}
+
+		PicoJSX.render(h(Log, { lines: ['a'] }), container);
+		PicoJSX.render(h(Log, { lines: ['a', 'b'] }), container);
+		expect(calls).toEqual([['snapshot', 1, 0], ['update', 1, 2]]);
+
+		const instance = container.querySelector('ul')._picoInstance;
+		flushSync(() => instance.setState({ extra: ['c', 'd'] }));
+		expect(calls.slice(2)).toEqual([['snapshot', 2, 0], ['update', 2, 4]]);
+	});
+
+	describe('ordering', () => {
+		let log;
+
+		class Tracked extends PicoComponent {
+			componentDidMount() {
+				log.push(`mount ${this.props.name} ${this._dom.isConnected}`);
+			}
+			componentDidUpdate() {
+				log.push(`update ${this.props.name}`);
+			}
+			componentWillUnmount() {
+				log.push(`unmount ${this.props.name} ${this._dom.isConnected}`);
+			}
+			render() {
+				return h('div', null, this.props.children);
+			}
+		}
+
+		const tree = (extra) => h(Tracked, { name: 'root' },
+			h(Tracked, { name: 'a' }, h(Tracked, { name: 'a1' })),
+			h(Tracked, { name: 'b' }, extra)
+		);
+
+		beforeEach(() => {
+			log = [];
+		});
+
+		it('should mount synchronously, children before parents, once attached', () => {
+			PicoJSX.render(tree(), container);
+			expect(log).toEqual(['mount a1 true', 'mount a true', 'mount b true', 'mount root true']);
+		});
+
+		it('should run componentDidUpdate children first, with new children mounted in place', () => {
+			PicoJSX.render(tree(), container);
+			log = [];
+
+			PicoJSX.render(tree(h(Tracked, { name: 'b1' })), container);
+			expect(log).toEqual(['update a1', 'update a', 'mount b1 true', 'update b', 'update root']);
+
+			log = [];
+			const b = container.firstChild.childNodes[1]._picoInstance;
+			flushSync(() => b.forceUpdate());
+			expect(log).toEqual(['update b1', 'update b']);
+		});
+
+		it('should unmount parents before children while still attached', () => {
+			PicoJSX.render(tree(h(Tracked, { name: 'b1' })), container);
+			log = [];
+
+			PicoJSX.render(h('p', null), container);
+			expect(log).toEqual([
+				'unmount root true', 'unmount a true', 'unmount a1 true', 'unmount b true', 'unmount b1 true',
+			]);
+		});
+
+		it('should have refs and layout effects ready before componentDidMount', () => {
+			const ref = { current: null };
+			class WithRef extends PicoComponent {
+				componentDidMount() {
+					log.push(`ref ${ref.current.tagName}`);
+				}
+				render() {
+					return h(Layout, null, h('input', { ref }));
+				}
+			}
+			const Layout = ({ children }) => {
+				useLayoutEffect(() => {
+					log.push('layout effect');
+				}, []);
+				return h('form', null, children);
+			};
+
+			PicoJSX.render(h(WithRef), container);
+			expect(log).toEqual(['layout effect', 'ref INPUT']);
+		});
+	});
 });
 
 describe('Virtual DOM Diffing', () => {
@@ -283,7 +495,7 @@ describe('Virtual DOM Diffing', () => {
 		p1.dataset.marked = 'yes'; // Mark element to track it
 		
 		const instance = p1._picoInstance;
-		instance.setState({ text: 'updated', className: 'new' });
+		flushSync(() => instance.setState({ text: 'updated', className: 'new' }));
 		
 		const p2 = container.querySelector('#para');
 		expect(p2).toBe(p1); // Same element reference
@@ -324,13 +536,13 @@ describe('Virtual DOM Diffing', () => {
 		const instance = container.querySelector('ul')._picoInstance;
 		
 		// Reorder items
-		instance.setState({ 
+		flushSync(() => instance.setState({ 
 			items: [
 				{ id: 2, text: 'Second' },
 				{ id: 1, text: 'First' },
 				{ id: 3, text: 'Third' }
 			]
-		});
+		}));
 		
 		const lis = container.querySelectorAll('li');
 		expect(lis[0].dataset.original).toBe('second'); // Reordered, not recreated
@@ -339,6 +551,35 @@ describe('Virtual DOM Diffing', () => {
 		expect(lis[2].textContent).toBe('Third');
 	});
 
+	it('should move items keyed with 0 and an empty string', () => {
+		const list = keys => h('ul', null, ...keys.map(key => h('li', { key }, `item ${key}`)));
+
+		PicoJSX.render(list([0, '']), container);
+		const [zero, empty] = container.querySelectorAll('li');
+
+		PicoJSX.render(list(['', 0]), container);
+		expect([...container.querySelectorAll('li')]).toEqual([empty, zero]);
+		expect(container.textContent).toBe('item item 0');
+	});
+
+	it('should render a VNode used in several places as separate nodes', () => {
+		const icon = h('span', null, 'icon');
+
+		PicoJSX.render(h('div', null, icon, h('b', null, 'x'), icon), container);
+		expect(container.innerHTML).toBe('<div><span>icon</span><b>x</b><span>icon</span></div>');
+
+		PicoJSX.render(h('div', null, h('b', null, 'x')), container);
+		expect(container.innerHTML).toBe('<div><b>x</b></div>');
+
+		// Rendering the same tree again diffs against a copy
+		const tree = h('div', null, icon, icon);
+		PicoJSX.render(tree, container);
+		PicoJSX.render(tree, container);
+		expect(container.innerHTML).toBe('<div><span>icon</span><span>icon</span></div>');
+		PicoJSX.render(h('div', null, icon), container);
+		expect(container.innerHTML).toBe('<div><span>icon</span></div>');
+	});
+
 	it('should preserve child component state during parent updates', () => {
 		class Child extends PicoComponent {
 			constructor(props) {
@@ -369,13 +610,13 @@ describe('Virtual DOM Diffing', () => {
 		// Update child state
 		const childSpan = container.querySelector('span');
 		const childInstance = childSpan._picoInstance;
-		childInstance.setState({ childValue: 200 });
+		flushSync(() => childInstance.setState({ childValue: 200 }));
 		expect(childSpan.textContent).toBe('Child: 200');
 		
 		// Update parent
 		const parentDiv = container.querySelector('div');
 		const parentInstance = parentDiv._picoInstance;
-		parentInstance.setState({ parentValue: 1 });
+		flushSync(() => parentInstance.setState({ parentValue: 1 }));
 		
 		// Child state should be preserved
 		expect(container.querySelector('span').textContent).toBe('Child: 200');
@@ -410,7 +651,7 @@ describe('Virtual DOM Diffing', () => {
 		
 		// Update state
 		const instance = container.querySelector('div')._picoInstance;
-		instance.setState({ label: 'Updated' });
+		flushSync(() => instance.setState({ label: 'Updated' }));
 		
 		// Focus should be preserved (in real browser, jsdom limitations apply)
 		expect(document.activeElement).toBe(input);
@@ -453,12 +694,281 @@ describe('Event Handling', () => {
 		expect(handler2).not.toHaveBeenCalled();
 		
 		const instance = button._picoInstance;
-		instance.setState({ useFirst: false });
+		flushSync(() => instance.setState({ useFirst: false }));
 		
 		button.click();
 		expect(handler1).toHaveBeenCalledTimes(1);
 		expect(handler2).toHaveBeenCalledTimes(1);
 	});
+
+	it('should listen in the capture phase with a Capture suffix or option', () => {
+		const calls = [];
+		PicoJSX.render(
+			h('div', { onClickCapture: () => calls.push('div capture'), onClick: () => calls.push('div') },
+				h('p', { onClick: { handler: () => calls.push('p capture'), capture: true } },
+					h('button', { onClick: () => calls.push('button') }, 'Click')
+				)
+			),
+			container
+		);
+
+		container.querySelector('button').click();
+		expect(calls).toEqual(['div capture', 'p capture', 'button', 'div']);
+	});
+
+	it('should support passive and once listeners', () => {
+		const addListener = jest.spyOn(EventTarget.prototype, 'addEventListener');
+		const onWheel = jest.fn(e => e.preventDefault());
+		const onClick = jest.fn();
+		PicoJSX.render(h('div', { onWheelPassive: onWheel, onClickOnce: onClick }), container);
+		const div = container.firstChild;
+
+		expect(addListener).toHaveBeenCalledWith('wheel', onWheel, { capture: false, passive: true, once: false });
+		addListener.mockRestore();
+
+		const wheel = new Event('wheel', { cancelable: true });
+		div.dispatchEvent(wheel);
+		expect(onWheel).toHaveBeenCalledTimes(1);
+		expect(wheel.defaultPrevented).toBe(false);
+
+		div.click();
+		div.click();
+		expect(onClick).toHaveBeenCalledTimes(1);
+
+		// An unchanged once listener is not re-armed by an update
+		PicoJSX.render(h('div', { onWheelPassive: onWheel, onClickOnce: onClick, id: 'x' }), container);
+		div.click();
+		expect(onClick).toHaveBeenCalledTimes(1);
+	});
+
+	it('should re-add listeners when their options change', () => {
+		const handler = jest.fn();
+		const removeListener = jest.spyOn(EventTarget.prototype, 'removeEventListener');
+		const render = (onClick) => PicoJSX.render(h('section', null, h('button', { onClick }, 'Click')), container);
+
+		render(handler);
+		const button = container.querySelector('button');
+		render({ handler, capture: true });
+		expect(removeListener).toHaveBeenLastCalledWith('click', handler, false);
+
+		button.click();
+		expect(handler).toHaveBeenCalledTimes(1);
+
+		// A new object with the same handler and options keeps the listener
+		removeListener.mockClear();
+		render({ handler, capture: true });
+		expect(removeListener).not.toHaveBeenCalled();
+
+		render(undefined);
+		expect(removeListener).toHaveBeenLastCalledWith('click', handler, true);
+		button.click();
+		expect(handler).toHaveBeenCalledTimes(1);
+		removeListener.mockRestore();
+	});
+
+	it('should attach listeners with options to the element when delegating', () => {
+		const calls = [];
+		const root = document.createElement('div');
+		container.appendChild(root);
+		PicoJSX.render(
+			h('div', { onClickCapture: () => calls.push('capture') },
+				h('button', { onClick: () => calls.push('delegated') }, 'Click')
+			),
+			root,
+			{ delegateEvents: true }
+		);
+
+		root.querySelector('button').click();
+		expect(calls).toEqual(['capture', 'delegated']);
+		PicoJSX.unmount(root);
+	});
+});
+
+describe('Event Delegation', () => {
+	let container;
+	let addListener;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+		addListener = jest.spyOn(EventTarget.prototype, 'addEventListener');
+	});
+
+	afterEach(() => {
+		addListener.mockRestore();
+		PicoJSX.unmount(container);
+		document.body.removeChild(container);
+	});
+
+	const listenersOn = (target) => addListener.mock.contexts.filter(context => context === target).length;
+
+	it('should use one capture and one bubble listener per event type on the root', () => {
+		const clicked = [];
+		class Grid extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { rows: 1000, prefix: 'a' };
+			}
+			render() {
+				const rows = [];
+				for (let i = 0; i < this.state.rows; i++) {
+					rows.push(h('li', { key: i, onClick: () => clicked.push(`${this.state.prefix}${i}`) }, i));
+				}
+				return h('ul', null, rows);
+			}
+		}
+
+		PicoJSX.render(h(Grid), container, { delegateEvents: true });
+		expect(addListener).toHaveBeenCalledTimes(2);
+		expect(listenersOn(container)).toBe(2);
+
+		const items = container.querySelectorAll('li');
+		items[42].click();
+		items[999].click();
+		expect(clicked).toEqual(['a42', 'a999']);
+
+		const grid = container.firstChild._picoInstance;
+		flushSync(() => grid.setState({ rows: 1001, prefix: 'b' }));
+		container.querySelectorAll('li')[1000].click();
+		items[42].click();
+		expect(clicked).toEqual(['a42', 'a999', 'b1000', 'b42']);
+		expect(addListener).toHaveBeenCalledTimes(2);
+	});
+
+	it('should bubble through ancestors with currentTarget and stopPropagation', () => {
+		const calls = [];
+		const outside = jest.fn();
+		document.body.addEventListener('click', outside);
+
+		PicoJSX.render(
+			h('section', { onClick: e => calls.push(['section', e.currentTarget.localName, e.target.localName]) },
+				h('div', { onClick: function (e) { calls.push(['div', e.currentTarget === this]); } },
+					h('button', { id: 'go', onClick: e => calls.push(['button', e.currentTarget.id]) }, 'go'),
+					h('button', { id: 'stop', onClick: e => e.stopPropagation() }, 'stop')
+				)
+			),
+			container,
+			{ delegateEvents: true }
+		);
+
+		container.querySelector('#go').click();
+		expect(calls).toEqual([['button', 'go'], ['div', true], ['section', 'section', 'button']]);
+		expect(outside).toHaveBeenCalledTimes(1);
+		expect(outside.mock.calls[0][0].currentTarget).toBe(null);
+
+		calls.length = 0;
+		container.querySelector('#stop').click();
+		expect(calls).toEqual([]);
+		expect(outside).toHaveBeenCalledTimes(1);
+		document.body.removeEventListener('click', outside);
+	});
+
+	it('should deliver focus and blur to the target only', () => {
+		const calls = [];
+		PicoJSX.render(
+			h('form', { onFocus: () => calls.push('form focus') },
+				h('input', { id: 'a', onFocus: e => calls.push(`focus ${e.currentTarget.id}`), onBlur: e => calls.push(`blur ${e.currentTarget.id}`) }),
+				h('input', { id: 'b', onFocus: e => calls.push(`focus ${e.currentTarget.id}`) })
+			),
+			container,
+			{ delegateEvents: true }
+		);
+
+		container.querySelector('#a').focus();
+		container.querySelector('#b').focus();
+		expect(calls).toEqual(['focus a', 'blur a', 'focus b']);
+		expect(listenersOn(container)).toBe(4);
+	});
+
+	it('should deliver any event that does not bubble to its target', () => {
+		const calls = [];
+		PicoJSX.render(
+			h('div', { onSeeked: () => calls.push('div seeked'), onClose: () => calls.push('div close') },
+				h('video', { onSeeked: () => calls.push('seeked'), onPlaying: () => calls.push('playing') }),
+				h('dialog', { onClose: () => calls.push('close'), onCancel: () => calls.push('cancel') })
+			),
+			container,
+			{ delegateEvents: true }
+		);
+
+		const video = container.querySelector('video');
+		const dialog = container.querySelector('dialog');
+		video.dispatchEvent(new Event('seeked'));
+		video.dispatchEvent(new Event('playing'));
+		dialog.dispatchEvent(new Event('cancel', { cancelable: true }));
+		dialog.dispatchEvent(new Event('close'));
+		expect(calls).toEqual(['seeked', 'playing', 'cancel', 'close']);
+
+		calls.length = 0;
+		video.dispatchEvent(new Event('seeked', { bubbles: true }));
+		expect(calls).toEqual(['seeked', 'div seeked']);
+	});
+
+	it('should handle onChange on controlled inputs and portals', () => {
+		const modalRoot = document.createElement('div');
+		document.body.appendChild(modalRoot);
+		const clicks = [];
+
+		const Form = () => {
+			const [text, setText] = useState('');
+			return h('div', { onClick: () => clicks.push('owner') },
+				h('input', { value: text, onChange: e => setText(e.target.value.toUpperCase()) }),
+				createPortal(h('button', { onClick: () => clicks.push(`portal ${text}`) }, 'ok'), modalRoot)
+			);
+		};
+
+		PicoJSX.render(h(Form), container, { delegateEvents: true });
+		const input = container.querySelector('input');
+		input.value = 'hi';
+		input.dispatchEvent(new Event('input', { bubbles: true }));
+		flushSync();
+		expect(input.value).toBe('HI');
+
+		modalRoot.querySelector('button').click();
+		expect(clicks).toEqual(['portal HI']);
+		expect(listenersOn(modalRoot)).toBe(2);
+
+		PicoJSX.unmount(container);
+		document.body.removeChild(modalRoot);
+	});
+
+	it('should call every delegated handler listening to the same event type', () => {
+		const calls = [];
+		const onInput = () => calls.push('input');
+		const onChange = () => calls.push('change');
+		PicoJSX.render(h('input', { onInput, onChange }), container, { delegateEvents: true });
+		const input = container.querySelector('input');
+
+		input.dispatchEvent(new Event('input', { bubbles: true }));
+		expect(calls).toEqual(['input', 'change']);
+
+		// Removing one of them keeps the other
+		PicoJSX.render(h('input', { onChange }), container, { delegateEvents: true });
+		input.dispatchEvent(new Event('input', { bubbles: true }));
+		expect(calls).toEqual(['input', 'change', 'change']);
+
+		// stopImmediatePropagation() skips the handlers after it
+		PicoJSX.unmount(container);
+		PicoJSX.render(h('input', { onInput: e => e.stopImmediatePropagation(), onChange }), container, { delegateEvents: true });
+		container.querySelector('input').dispatchEvent(new Event('input', { bubbles: true }));
+		expect(calls).toEqual(['input', 'change', 'change']);
+	});
+
+	it('should remove the root listeners on unmount and keep element listeners without the option', () => {
+		const removeListener = jest.spyOn(EventTarget.prototype, 'removeEventListener');
+		PicoJSX.render(h('button', { onClick: () => {}, onMouseEnter: () => {} }), container, { delegateEvents: true });
+		PicoJSX.unmount(container);
+		expect(removeListener.mock.contexts.filter(context => context === container).length).toBe(4);
+		removeListener.mockRestore();
+
+		addListener.mockClear();
+		const onClick = jest.fn();
+		PicoJSX.render(h('button', { onClick }), container);
+		const button = container.querySelector('button');
+		expect(addListener.mock.contexts).toEqual([button]);
+		button.click();
+		expect(onClick).toHaveBeenCalledTimes(1);
+	});
 });
 
 describe('Refs', () => {
@@ -507,6 +1017,94 @@ describe('Refs', () => {
 		expect(callbackRef).toHaveBeenLastCalledWith(null);
 		expect(objectRef.current).toBeNull();
 	});
+
+	it('should keep an object ref on the element that replaced its old one', () => {
+		const ref = { current: null };
+
+		PicoJSX.render(h('div', null, h('input', { ref })), container);
+		PicoJSX.render(h('div', null, h('textarea', { ref })), container);
+
+		expect(ref.current).toBe(container.querySelector('textarea'));
+	});
+
+	it('should point refs on class components at the instance', () => {
+		const editorRef = { current: null };
+		let seenInDidMount;
+
+		class Editor extends PicoComponent {
+			focus() {
+				this.input.focus();
+			}
+			render() {
+				return h('input', { ref: input => { this.input = input; } });
+			}
+		}
+
+		class Page extends PicoComponent {
+			componentDidMount() {
+				seenInDidMount = editorRef.current;
+			}
+			render() {
+				return h('div', null, h(Editor, { ref: editorRef, mode: 'plain' }));
+			}
+		}
+
+		PicoJSX.render(h(Page), container);
+
+		const editor = editorRef.current;
+		expect(editor).toBeInstanceOf(Editor);
+		expect(seenInDidMount).toBe(editor);
+		expect(editor.props).toEqual({ mode: 'plain' });
+		editor.focus();
+		expect(document.activeElement).toBe(container.querySelector('input'));
+
+		PicoJSX.render(h('p', null), container);
+		expect(editorRef.current).toBeNull();
+	});
+
+	it('should move a class component ref when it changes', () => {
+		class Item extends PicoComponent {
+			render() {
+				return h('li', null, 'item');
+			}
+		}
+		const first = jest.fn();
+		const second = { current: null };
+
+		PicoJSX.render(h(Item, { ref: first }), container);
+		const item = first.mock.calls[0][0];
+		expect(item).toBeInstanceOf(Item);
+
+		PicoJSX.render(h(Item, { ref: second }), container);
+		expect(first).toHaveBeenLastCalledWith(null);
+		expect(second.current).toBe(item);
+
+		PicoJSX.render(h(Item, { ref: second, key: 'other' }), container);
+		expect(second.current).toBeInstanceOf(Item);
+		expect(second.current).not.toBe(item);
+	});
+
+	it('should pass refs through forwardRef', () => {
+		const FancyInput = forwardRef((props, ref) => h('input', { className: 'fancy', ref, value: props.value }));
+		const MemoInput = memo(FancyInput);
+		const inputRef = { current: null };
+		const otherRef = { current: null };
+
+		PicoJSX.render(h('div', null, h(FancyInput, { ref: inputRef, value: 'a' })), container);
+		expect(inputRef.current).toBe(container.querySelector('input.fancy'));
+		expect(FancyInput.displayName).toBe('ForwardRef(Anonymous)');
+
+		PicoJSX.render(h('div', null, h(FancyInput, { ref: otherRef, value: 'a' })), container);
+		expect(inputRef.current).toBeNull();
+		expect(otherRef.current).toBe(container.querySelector('input'));
+
+		PicoJSX.render(h('div', null, h(MemoInput, { ref: inputRef, value: 'b' })), container);
+		expect(inputRef.current).toBe(container.querySelector('input'));
+		expect(inputRef.current.value).toBe('b');
+
+		PicoJSX.render(h('div', null), container);
+		expect(inputRef.current).toBeNull();
+	});
 });
 
 describe('Store', () => {
@@ -613,9 +1211,2264 @@ describe('Fragments', () => {
 		expect(container.querySelectorAll('span').length).toBe(2);
 		
 		const instance = container.querySelector('div')._picoInstance;
-		instance.setState({ items: ['A', 'B', 'C'] });
+		flushSync(() => instance.setState({ items: ['A', 'B', 'C'] }));
 		
 		expect(container.querySelectorAll('span').length).toBe(3);
 		expect(container.querySelectorAll('span')[2].textContent).toBe('C');
 	});
-});
\ No newline at end of file
+
+	it('should reorder keyed items inside a fragment returned from a component', () => {
+		class List extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { items: ['a', 'b', 'c', 'd'] };
+			}
+			render() {
+				return h(Fragment, null, this.state.items.map(item => h('li', { key: item }, item)));
+			}
+		}
+
+		const ul = document.createElement('ul');
+		container.appendChild(ul);
+		PicoJSX.render(h(List), ul);
+		const list = ul.firstChild._picoInstance;
+		const byText = Object.fromEntries(Array.from(ul.children).map(li => [li.textContent, li]));
+		const insertBefore = jest.spyOn(ul, 'insertBefore');
+
+		flushSync(() => list.setState({ items: ['d', 'a', 'b', 'c'] }));
+		expect(Array.from(ul.children)).toEqual([byText.d, byText.a, byText.b, byText.c]);
+		expect(insertBefore).toHaveBeenCalledTimes(1);
+
+		flushSync(() => list.setState({ items: ['c', 'x', 'a'] }));
+		expect(Array.from(ul.children).map(li => li.textContent)).toEqual(['c', 'x', 'a']);
+		expect(ul.children[0]).toBe(byText.c);
+		expect(ul.children[2]).toBe(byText.a);
+		expect(ul.firstChild.textContent).toBe('fragment-start');
+		expect(ul.lastChild.textContent).toBe('fragment-end');
+	});
+
+	it('should update nested fragments without mixing up their markers', () => {
+		class Nested extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { inner: ['1', '2'], showInner: true };
+			}
+			render() {
+				const { inner, showInner } = this.state;
+				return h('div', null,
+					h(Fragment, null,
+						h('b', null, 'first'),
+						showInner ? h(Fragment, null, inner.map(item => h('i', { key: item }, item))) : null,
+						h('b', null, 'last')
+					),
+					h('u', null, 'after')
+				);
+			}
+		}
+
+		PicoJSX.render(h(Nested), container);
+		const nested = container.querySelector('div')._picoInstance;
+		const text = () => Array.from(container.querySelector('div').children).map(el => el.textContent).join(',');
+		expect(text()).toBe('first,1,2,last,after');
+
+		flushSync(() => nested.setState({ inner: ['3', '2', '1'] }));
+		expect(text()).toBe('first,3,2,1,last,after');
+
+		flushSync(() => nested.setState({ inner: [] }));
+		expect(text()).toBe('first,last,after');
+
+		flushSync(() => nested.setState({ inner: ['4'] }));
+		expect(text()).toBe('first,4,last,after');
+
+		flushSync(() => nested.setState({ showInner: false }));
+		expect(text()).toBe('first,last,after');
+		const comments = Array.from(container.querySelector('div').childNodes)
+			.filter(node => node.nodeType === 8)
+			.map(node => node.textContent);
+		expect(comments).toEqual(['fragment-start', 'fragment-end']);
+	});
+
+	it('should update components returning fragments inside other fragments', () => {
+		let setInner;
+		const Inner = () => {
+			const [items, setItems] = useState(['x', 'y']);
+			setInner = setItems;
+			return h(Fragment, null, items.map(item => h('em', { key: item }, item)));
+		};
+		class Outer extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { label: 'one' };
+			}
+			render() {
+				return h(Fragment, null, h('h2', null, this.state.label), h(Inner), h('p', null, 'tail'));
+			}
+		}
+
+		PicoJSX.render(h(Outer), container);
+		const outer = container.firstChild._picoInstance;
+		const text = () => Array.from(container.children).map(el => el.textContent).join(',');
+		expect(text()).toBe('one,x,y,tail');
+
+		flushSync(() => setInner(['y', 'z', 'x']));
+		expect(text()).toBe('one,y,z,x,tail');
+
+		flushSync(() => outer.setState({ label: 'two' }));
+		expect(text()).toBe('two,y,z,x,tail');
+
+		flushSync(() => setInner([]));
+		expect(text()).toBe('two,tail');
+	});
+});
+describe('Hooks', () => {
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+		jest.useFakeTimers();
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.runOnlyPendingTimers();
+		jest.useRealTimers();
+	});
+
+	it('should keep state in functional components with useState', () => {
+		let setCount;
+		const Counter = () => {
+			const [count, set] = useState(0);
+			setCount = set;
+			return h('span', null, `Count: ${count}`);
+		};
+		
+		PicoJSX.render(h('div', null, h(Counter)), container);
+		const span = container.querySelector('span');
+		expect(span.textContent).toBe('Count: 0');
+		
+		flushSync(() => setCount(1));
+		flushSync(() => setCount(prev => prev + 1));
+		expect(container.querySelector('span')).toBe(span);
+		expect(span.textContent).toBe('Count: 2');
+	});
+
+	it('should give a VNode mounted again after unmount a new instance', () => {
+		let setN;
+		let mounts = 0;
+		const Counter = () => {
+			const [n, set] = useState(0);
+			setN = set;
+			useLayoutEffect(() => {
+				mounts++;
+			}, []);
+			return h('b', null, n);
+		};
+		const counter = h(Counter);
+
+		const App = ({ show }) => h('div', null, show ? counter : null);
+		PicoJSX.render(h(App, { show: true }), container);
+		PicoJSX.render(h(App, { show: false }), container);
+		PicoJSX.render(h(App, { show: true }), container);
+		expect(mounts).toBe(2);
+
+		flushSync(() => setN(3));
+		expect(container.innerHTML).toBe('<div><b>3</b></div>');
+	});
+
+	it('should dispatch actions with useReducer', () => {
+		let dispatch;
+		const reducer = (state, action) => 
+			action === 'inc' ? { count: state.count + 1 } : state;
+		const Counter = () => {
+			const [state, d] = useReducer(reducer, 5, n => ({ count: n }));
+			dispatch = d;
+			return h('span', null, state.count);
+		};
+		
+		PicoJSX.render(h(Counter), container);
+		flushSync(() => dispatch('inc'));
+		expect(container.textContent).toBe('6');
+		
+		const before = container.textContent;
+		flushSync(() => dispatch('unknown'));
+		expect(container.textContent).toBe(before);
+	});
+
+	it('should run effects after mount and clean up on change and unmount', () => {
+		const log = [];
+		let setValue;
+		const Effectful = () => {
+			const [value, set] = useState('a');
+			setValue = set;
+			useEffect(() => {
+				log.push(`effect ${value}`);
+				return () => log.push(`cleanup ${value}`);
+			}, [value]);
+			return h('p', null, value);
+		};
+		
+		PicoJSX.render(h(Effectful), container);
+		expect(log).toEqual([]);
+		jest.runAllTimers();
+		expect(log).toEqual(['effect a']);
+		
+		flushSync(() => setValue('b'));
+		jest.runAllTimers();
+		expect(log).toEqual(['effect a', 'cleanup a', 'effect b']);
+		
+		PicoJSX.render(h('div', null), container);
+		expect(log).toEqual(['effect a', 'cleanup a', 'effect b', 'cleanup b']);
+	});
+
+	it('should run the effect of every render when an update lands before effects run', () => {
+		const log = [];
+		let setValue;
+		const Effectful = () => {
+			const [value, set] = useState(0);
+			setValue = set;
+			useEffect(() => {
+				log.push(`run${value}`);
+				return () => log.push(`clean${value}`);
+			});
+			return h('p', null, value);
+		};
+
+		PicoJSX.render(h(Effectful), container);
+		flushSync(() => setValue(1));
+		expect(log).toEqual([]);
+		jest.runAllTimers();
+		expect(log).toEqual(['run0', 'clean0', 'run1']);
+	});
+
+	it('should run layout effects synchronously after an update', () => {
+		let setValue;
+		let measured;
+		const Measure = () => {
+			const [value, set] = useState('short');
+			const ref = useRef(null);
+			setValue = set;
+			useLayoutEffect(() => {
+				measured = ref.current.textContent;
+			});
+			return h('p', { ref }, value);
+		};
+		
+		PicoJSX.render(h(Measure), container);
+		jest.runAllTimers();
+		expect(measured).toBe('short');
+		
+		flushSync(() => setValue('longer text'));
+		expect(measured).toBe('longer text');
+	});
+
+	it('should keep refs, memoized values and callbacks stable between renders', () => {
+		const seen = [];
+		let setTick;
+		const compute = jest.fn(n => n * 2);
+		const Memo = ({ n }) => {
+			const [tick, set] = useState(0);
+			setTick = set;
+			const ref = useRef({ id: 1 });
+			const doubled = useMemo(() => compute(n), [n]);
+			const onClick = useCallback(() => n, [n]);
+			seen.push({ ref, doubled, onClick });
+			return h('b', null, `${doubled}-${tick}`);
+		};
+		
+		PicoJSX.render(h(Memo, { n: 2 }), container);
+		flushSync(() => setTick(1));
+		
+		expect(container.textContent).toBe('4-1');
+		expect(compute).toHaveBeenCalledTimes(1);
+		expect(seen[1].ref).toBe(seen[0].ref);
+		expect(seen[1].onClick).toBe(seen[0].onClick);
+	});
+
+	it('should preserve hook state when the parent re-renders', () => {
+		let setInner;
+		const Inner = ({ label }) => {
+			const [count, set] = useState(10);
+			setInner = set;
+			return h('span', null, `${label}: ${count}`);
+		};
+		
+		class Parent extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { label: 'A' };
+			}
+			render() {
+				return h('div', null, h(Inner, { label: this.state.label }));
+			}
+		}
+		
+		PicoJSX.render(h(Parent), container);
+		flushSync(() => setInner(11));
+		
+		flushSync(() => container.querySelector('div')._picoInstance.setState({ label: 'B' }));
+		expect(container.querySelector('span').textContent).toBe('B: 11');
+	});
+
+	it('should throw when a hook is called outside a component', () => {
+		expect(() => useState(0)).toThrow(/functional component/);
+	});
+});
+
+describe('Functional Components', () => {
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+		jest.useFakeTimers();
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.runOnlyPendingTimers();
+		jest.useRealTimers();
+	});
+
+	it('should keep component boundaries in the rendered VNode tree', () => {
+		const Label = ({ text }) => h('span', null, text);
+		
+		PicoJSX.render(h('div', null, h(Label, { text: 'Hi' })), container);
+		
+		const labelVNode = container._picoRoot.children[0];
+		expect(labelVNode.type).toBe(Label);
+		expect(labelVNode._instance._childVNode.type).toBe('span');
+		expect(container.textContent).toBe('Hi');
+	});
+
+	it('should only re-invoke functional components whose props changed', () => {
+		const Static = jest.fn(({ text }) => h('span', null, text));
+		const Dynamic = jest.fn(({ count }) => h('b', null, count));
+		
+		class Parent extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { count: 0 };
+			}
+			render() {
+				return h('div', null,
+					h(Static, { text: 'fixed' }),
+					h(Dynamic, { count: this.state.count })
+				);
+			}
+		}
+		
+		PicoJSX.render(h(Parent), container);
+		flushSync(() => container.querySelector('div')._picoInstance.setState({ count: 1 }));
+		
+		expect(Static).toHaveBeenCalledTimes(1);
+		expect(Dynamic).toHaveBeenCalledTimes(2);
+		expect(container.querySelector('b').textContent).toBe('1');
+	});
+
+	it('should replace and unmount when the component type changes', () => {
+		const cleanup = jest.fn();
+		const First = () => {
+			useEffect(() => cleanup, []);
+			return h('span', null, 'first');
+		};
+		const Second = () => h('span', null, 'second');
+		
+		class Switcher extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { first: true };
+			}
+			render() {
+				return h('div', null, this.state.first ? h(First) : h(Second));
+			}
+		}
+		
+		PicoJSX.render(h(Switcher), container);
+		jest.runAllTimers();
+		
+		flushSync(() => container.querySelector('div')._picoInstance.setState({ first: false }));
+		expect(cleanup).toHaveBeenCalledTimes(1);
+		expect(container.textContent).toBe('second');
+	});
+});
+
+describe('Skipping Re-renders', () => {
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+		jest.useFakeTimers();
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.runOnlyPendingTimers();
+		jest.useRealTimers();
+	});
+
+	const renderParent = (child) => {
+		class Parent extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { tick: 0, label: 'same' };
+			}
+			render() {
+				return h('div', null, child(this.state));
+			}
+		}
+		PicoJSX.render(h(Parent), container);
+		return container.querySelector('div')._picoInstance;
+	};
+
+	it('should honor shouldComponentUpdate and reuse the previous DOM', () => {
+		const renderSpy = jest.fn();
+		class Row extends PicoComponent {
+			shouldComponentUpdate(nextProps) {
+				return nextProps.label !== this.props.label;
+			}
+			render() {
+				renderSpy();
+				return h('span', null, this.props.label);
+			}
+		}
+		
+		const parent = renderParent(state => h(Row, { label: state.label, tick: state.tick }));
+		const span = container.querySelector('span');
+		
+		flushSync(() => parent.setState({ tick: 1 }));
+		expect(renderSpy).toHaveBeenCalledTimes(1);
+		expect(container.querySelector('span')).toBe(span);
+		expect(span._picoInstance.props.tick).toBe(1);
+		
+		flushSync(() => parent.setState({ label: 'changed' }));
+		expect(renderSpy).toHaveBeenCalledTimes(2);
+		expect(span.textContent).toBe('changed');
+	});
+
+	it('should skip PureComponent renders for shallowly equal props and state', () => {
+		const renderSpy = jest.fn();
+		class Row extends PureComponent {
+			constructor(props) {
+				super(props);
+				this.state = { selected: false };
+			}
+			render() {
+				renderSpy();
+				return h('span', null, `${this.props.label}${this.state.selected ? '*' : ''}`);
+			}
+		}
+		
+		const parent = renderParent(state => h(Row, { label: state.label }));
+		const row = container.querySelector('span')._picoInstance;
+		
+		flushSync(() => parent.setState({ tick: 1 }));
+		flushSync(() => row.setState({ selected: false }));
+		expect(renderSpy).toHaveBeenCalledTimes(1);
+		
+		flushSync(() => row.setState({ selected: true }));
+		expect(renderSpy).toHaveBeenCalledTimes(2);
+		expect(container.textContent).toBe('same*');
+	});
+
+	it('should memoize functional components with a custom comparison', () => {
+		const Row = jest.fn(({ item }) => h('span', null, item.name));
+		const MemoRow = memo(Row, (prev, next) => prev.item.id === next.item.id);
+		
+		const parent = renderParent(state => 
+			h(MemoRow, { item: { id: 1, name: `v${state.tick}` } })
+		);
+		
+		flushSync(() => parent.setState({ tick: 1 }));
+		expect(Row).toHaveBeenCalledTimes(1);
+		expect(container.textContent).toBe('v0');
+	});
+
+	it('should keep hook state in memoized components', () => {
+		let setCount;
+		const Counter = memo(() => {
+			const [count, set] = useState(0);
+			setCount = set;
+			return h('span', null, count);
+		});
+		
+		PicoJSX.render(h(Counter), container);
+		flushSync(() => setCount(3));
+		expect(container.textContent).toBe('3');
+	});
+});
+
+describe('Batched Updates', () => {
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	it('should batch several setState calls into a single render', async () => {
+		const renderSpy = jest.fn();
+		class Counter extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { count: 0 };
+			}
+			increment = () => {
+				this.setState(prev => ({ count: prev.count + 1 }));
+				this.setState(prev => ({ count: prev.count + 1 }));
+				this.setState(prev => ({ count: prev.count + 1 }));
+			}
+			render() {
+				renderSpy();
+				return h('button', { onClick: this.increment }, this.state.count);
+			}
+		}
+		
+		PicoJSX.render(h(Counter), container);
+		const button = container.querySelector('button');
+		button.click();
+		
+		expect(button.textContent).toBe('0');
+		await Promise.resolve();
+		expect(button.textContent).toBe('3');
+		expect(renderSpy).toHaveBeenCalledTimes(2);
+	});
+
+	it('should render parents before children and only once each', async () => {
+		const log = [];
+		let child;
+		class Child extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { value: 'a' };
+				child = this;
+			}
+			render() {
+				log.push('child');
+				return h('span', null, `${this.props.label}${this.state.value}`);
+			}
+		}
+		class Parent extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { label: 'x' };
+			}
+			render() {
+				log.push('parent');
+				return h('div', null, h(Child, { label: this.state.label }));
+			}
+		}
+		
+		PicoJSX.render(h(Parent), container);
+		const parent = container.querySelector('div')._picoInstance;
+		log.length = 0;
+		
+		child.setState({ value: 'b' });
+		parent.setState({ label: 'y' });
+		await Promise.resolve();
+		
+		expect(log).toEqual(['parent', 'child']);
+		expect(container.textContent).toBe('yb');
+	});
+
+	it('should run setState callbacks and resolve promises after the DOM is committed', async () => {
+		class Label extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { text: 'before' };
+			}
+			render() {
+				return h('p', null, this.state.text);
+			}
+		}
+		
+		PicoJSX.render(h(Label), container);
+		const instance = container.querySelector('p')._picoInstance;
+		let seenInCallback;
+		
+		const committed = instance.setState({ text: 'after' }, () => {
+			seenInCallback = container.textContent;
+		});
+		expect(seenInCallback).toBeUndefined();
+		
+		await committed;
+		expect(seenInCallback).toBe('after');
+	});
+
+	it('should apply updates immediately inside flushSync', () => {
+		let setValue;
+		const Field = () => {
+			const [value, set] = useState('a');
+			setValue = set;
+			return h('i', null, value);
+		};
+		
+		PicoJSX.render(h(Field), container);
+		flushSync(() => {
+			setValue('b');
+			setValue(prev => prev + 'c');
+		});
+		expect(container.textContent).toBe('bc');
+	});
+});
+
+describe('Hydration', () => {
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+		jest.useFakeTimers();
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.runOnlyPendingTimers();
+		jest.useRealTimers();
+		jest.restoreAllMocks();
+	});
+
+	it('should reuse server-rendered DOM and attach listeners and refs', () => {
+		const onClick = jest.fn();
+		const ref = { current: null };
+		const vnode = h('div', { id: 'app' },
+			h('button', { onClick, ref }, 'Go'),
+			h('p', null, 'Count: ', 1)
+		);
+		
+		container.innerHTML = PicoJSX.renderToString(vnode);
+		const button = container.querySelector('button');
+		const paragraph = container.querySelector('p');
+		
+		PicoJSX.hydrate(vnode, container);
+		
+		expect(container.querySelector('button')).toBe(button);
+		expect(container.querySelector('p')).toBe(paragraph);
+		expect(paragraph.childNodes).toHaveLength(2);
+		expect(ref.current).toBe(button);
+		button.click();
+		expect(onClick).toHaveBeenCalledTimes(1);
+	});
+
+	it('should mount components and keep them updatable', () => {
+		const didMount = jest.fn();
+		class Counter extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { count: 0 };
+			}
+			componentDidMount() { didMount(); }
+			render() {
+				return h(Fragment, null,
+					h('span', null, this.state.count),
+					h('button', { onClick: () => this.setState({ count: this.state.count + 1 }) }, '+')
+				);
+			}
+		}
+		
+		container.innerHTML = PicoJSX.renderToString(h('section', null, h(Counter)));
+		const span = container.querySelector('span');
+		
+		PicoJSX.hydrate(h('section', null, h(Counter)), container);
+		jest.runAllTimers();
+		expect(didMount).toHaveBeenCalledTimes(1);
+		
+		flushSync(() => container.querySelector('button').click());
+		expect(container.querySelector('span')).toBe(span);
+		expect(span.textContent).toBe('1');
+	});
+
+	it('should warn about and fix text and attribute mismatches', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		container.innerHTML = '<p class="old">server</p>';
+		const paragraph = container.querySelector('p');
+		
+		PicoJSX.hydrate(h('p', { className: 'new' }, 'client'), container);
+		
+		expect(container.querySelector('p')).toBe(paragraph);
+		expect(paragraph.className).toBe('new');
+		expect(paragraph.textContent).toBe('client');
+		expect(warn).toHaveBeenCalledTimes(2);
+	});
+
+	it('should keep text from components apart from neighbouring text', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		const Name = ({ name }) => name;
+		const Pair = () => ['x', h('b', null, 'y'), 'z'];
+		const Nothing = () => null;
+		const vnode = name => h('p', null, 'Hello ', h(Name, { name }), h(Nothing), '!', h(Pair), 'end');
+
+		container.innerHTML = PicoJSX.renderToString(vnode('Ada'));
+		const texts = Array.from(container.firstChild.childNodes).filter(node => node.nodeType === 3);
+
+		PicoJSX.hydrate(vnode('Ada'), container);
+		expect(warn).not.toHaveBeenCalled();
+		expect(container.firstChild.textContent).toBe('Hello Ada!xyzend');
+		texts.forEach(text => expect(container.contains(text)).toBe(true));
+
+		PicoJSX.render(vnode('Bob'), container);
+		expect(container.firstChild.textContent).toBe('Hello Bob!xyzend');
+		warn.mockRestore();
+	});
+
+	it('should keep the value of a server-rendered textarea', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		const Editor = () => {
+			const [text, setText] = useState('a < b');
+			return h('textarea', { value: text, onChange: e => setText(e.target.value) });
+		};
+		container.innerHTML = PicoJSX.renderToString(h(Editor));
+		const textarea = container.firstChild;
+
+		PicoJSX.hydrate(h(Editor), container);
+		expect(container.firstChild).toBe(textarea);
+		expect(textarea.value).toBe('a < b');
+		expect(warn).not.toHaveBeenCalled();
+
+		textarea.value = 'typed';
+		textarea.dispatchEvent(new Event('input', { bubbles: true }));
+		expect(textarea.value).toBe('typed');
+		warn.mockRestore();
+	});
+
+	it('should compare normalized class props and aliased attributes with the server markup', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		const vnode = h('label', { className: ['field', { required: true }], htmlFor: 'email' }, 'Email');
+		container.innerHTML = PicoJSX.renderToString(vnode);
+
+		PicoJSX.hydrate(vnode, container);
+
+		expect(container.innerHTML).toBe('<label class="field required" for="email">Email</label>');
+		expect(warn).not.toHaveBeenCalled();
+		warn.mockRestore();
+	});
+
+	it('should replace nodes whose structure does not match', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		container.innerHTML = '<span>wrong</span><i>extra</i>';
+		
+		PicoJSX.hydrate(h('div', null, 'right'), container);
+		
+		expect(container.innerHTML).toBe('<div>right</div>');
+		expect(warn).toHaveBeenCalled();
+	});
+});
+
+describe('SVG and MathML', () => {
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	const SVG_NS = 'http://www.w3.org/2000/svg';
+	const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+	it('should create SVG elements in the SVG namespace', () => {
+		PicoJSX.render(
+			h('svg', { viewBox: '0 0 10 10', className: 'icon' },
+				h('g', null, h('circle', { cx: 5, cy: 5, r: 4, strokeWidth: 2 }))
+			),
+			container
+		);
+		
+		const svg = container.querySelector('svg');
+		const circle = container.querySelector('circle');
+		expect(svg.namespaceURI).toBe(SVG_NS);
+		expect(circle.namespaceURI).toBe(SVG_NS);
+		expect(svg.getAttribute('class')).toBe('icon');
+		expect(svg.getAttribute('viewBox')).toBe('0 0 10 10');
+		expect(circle.getAttribute('stroke-width')).toBe('2');
+	});
+
+	it('should switch back to HTML inside foreignObject', () => {
+		PicoJSX.render(
+			h('svg', null, h('foreignObject', null, h('div', null, 'html'))),
+			container
+		);
+		
+		expect(container.querySelector('foreignObject').namespaceURI).toBe(SVG_NS);
+		expect(container.querySelector('div').namespaceURI).toBe('http://www.w3.org/1999/xhtml');
+	});
+
+	it('should create SVG elements added during updates and inside components', () => {
+		const Dot = ({ x }) => h('circle', { cx: x, r: 1 });
+		class Chart extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { points: [1] };
+			}
+			render() {
+				return h('svg', null, ...this.state.points.map(x => h(Dot, { key: x, x })));
+			}
+		}
+		
+		PicoJSX.render(h(Chart), container);
+		flushSync(() => container.querySelector('svg')._picoInstance.setState({ points: [1, 2, 3] }));
+		
+		const circles = container.querySelectorAll('circle');
+		expect(circles).toHaveLength(3);
+		circles.forEach(circle => expect(circle.namespaceURI).toBe(SVG_NS));
+	});
+
+	it('should set and remove namespaced attributes', () => {
+		class Icon extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { href: '#a' };
+			}
+			render() {
+				return h('svg', { 'xml:lang': 'en' }, h('use', { 'xlink:href': this.state.href }));
+			}
+		}
+		
+		PicoJSX.render(h(Icon), container);
+		const use = container.querySelector('use');
+		expect(use.getAttributeNS(XLINK_NS, 'href')).toBe('#a');
+		expect(container.querySelector('svg').getAttributeNS('http://www.w3.org/XML/1998/namespace', 'lang')).toBe('en');
+		
+		const instance = container.querySelector('svg')._picoInstance;
+		flushSync(() => instance.setState({ href: '#b' }));
+		expect(use.getAttributeNS(XLINK_NS, 'href')).toBe('#b');
+		
+		flushSync(() => instance.setState({ href: null }));
+		expect(use.hasAttributeNS(XLINK_NS, 'href')).toBe(false);
+	});
+
+	it('should create MathML elements in the MathML namespace', () => {
+		PicoJSX.render(h('math', null, h('mi', null, 'x')), container);
+		expect(container.querySelector('mi').namespaceURI).toBe('http://www.w3.org/1998/Math/MathML');
+	});
+});
+
+describe('Form Controls', () => {
+	let container;
+	const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+	const type = (input, value) => {
+		input.value = value;
+		input.dispatchEvent(new Event('input', { bubbles: true }));
+	};
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	it('should set value as a property so state can reset it after typing', () => {
+		class Form extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { text: '' };
+			}
+			render() {
+				return h('input', {
+					value: this.state.text,
+					onInput: e => this.setState({ text: e.target.value }),
+				});
+			}
+		}
+		
+		PicoJSX.render(h(Form), container);
+		const input = container.querySelector('input');
+		flushSync(() => type(input, 'hello'));
+		expect(input.value).toBe('hello');
+		
+		flushSync(() => input._picoInstance.setState({ text: '' }));
+		expect(input.value).toBe('');
+	});
+
+	it('should keep controlled inputs in sync with their value prop', async () => {
+		class Upper extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { text: '' };
+			}
+			render() {
+				return h('div', null,
+					h('input', { id: 'fixed', value: 'locked' }),
+					h('input', {
+						id: 'upper',
+						value: this.state.text,
+						onChange: e => this.setState({ text: e.target.value.toUpperCase() }),
+					})
+				);
+			}
+		}
+		
+		PicoJSX.render(h(Upper), container);
+		const fixed = container.querySelector('#fixed');
+		const upper = container.querySelector('#upper');
+		
+		type(fixed, 'changed');
+		type(upper, 'abc');
+		await tick();
+		
+		expect(fixed.value).toBe('locked');
+		expect(upper.value).toBe('ABC');
+	});
+
+	it('should let the handler read the typed value when microtasks run between listeners', async () => {
+		// Browsers run microtasks between the listeners of a user-initiated event, dispatchEvent() doesn't
+		const listeners = [];
+		const addEventListener = jest.spyOn(EventTarget.prototype, 'addEventListener')
+			.mockImplementation(function (eventType, listener) {
+				listeners.push({ target: this, eventType, listener });
+			});
+		const userType = async (input, value) => {
+			input.value = value;
+			const event = Object.assign(Object.create({ stopPropagation() {}, stopImmediatePropagation() {} }), {
+				type: 'input', target: input, bubbles: true,
+			});
+			for (let node = input; node; node = node.parentNode) {
+				for (const { target, eventType, listener } of listeners) {
+					if (target !== node || eventType !== 'input') continue;
+					event.currentTarget = node;
+					listener.call(node, event);
+					await Promise.resolve();
+				}
+			}
+		};
+		const Field = ({ id }) => {
+			const [text, setText] = useState('');
+			return h('input', { id, value: text, onChange: e => setText(e.target.value.toUpperCase()) });
+		};
+
+		const delegated = document.createElement('div');
+		container.appendChild(delegated);
+		PicoJSX.render(h(Field, { id: 'direct' }), container.appendChild(document.createElement('div')));
+		PicoJSX.render(h(Field, { id: 'delegated' }), delegated, { delegateEvents: true });
+		const direct = container.querySelector('#direct');
+		const viaRoot = container.querySelector('#delegated');
+
+		await userType(direct, 'abc');
+		await userType(viaRoot, 'xyz');
+		await tick();
+		addEventListener.mockRestore();
+
+		expect(direct.value).toBe('ABC');
+		expect(viaRoot.value).toBe('XYZ');
+	});
+
+	it('should control checkboxes through the checked property', async () => {
+		const onChange = jest.fn();
+		PicoJSX.render(h('input', { type: 'checkbox', checked: true, onChange }), container);
+		const checkbox = container.querySelector('input');
+		expect(checkbox.checked).toBe(true);
+		
+		checkbox.click();
+		expect(onChange).toHaveBeenCalledTimes(1);
+		await tick();
+		expect(checkbox.checked).toBe(true);
+	});
+
+	it('should support value on select and textarea', () => {
+		class Picker extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { choice: 'b', notes: 'first', many: ['a', 'c'] };
+			}
+			render() {
+				const options = ['a', 'b', 'c'].map(v => h('option', { value: v }, v));
+				return h('div', null,
+					h('select', { id: 'single', value: this.state.choice }, ...options),
+					h('select', { id: 'multi', multiple: true, value: this.state.many }, ...options),
+					h('textarea', { value: this.state.notes })
+				);
+			}
+		}
+		
+		PicoJSX.render(h(Picker), container);
+		const single = container.querySelector('#single');
+		const multi = container.querySelector('#multi');
+		const textarea = container.querySelector('textarea');
+		expect(single.value).toBe('b');
+		expect(Array.from(multi.selectedOptions).map(o => o.value)).toEqual(['a', 'c']);
+		expect(textarea.value).toBe('first');
+		
+		flushSync(() => container.querySelector('div')._picoInstance.setState({ choice: 'c', notes: 'second', many: ['b'] }));
+		expect(single.value).toBe('c');
+		expect(Array.from(multi.selectedOptions).map(o => o.value)).toEqual(['b']);
+		expect(textarea.value).toBe('second');
+	});
+
+	it('should set indeterminate and selected as properties', () => {
+		PicoJSX.render(
+			h('div', null,
+				h('input', { type: 'checkbox', indeterminate: true }),
+				h('select', null, h('option', { value: 'x' }), h('option', { value: 'y', selected: true }))
+			),
+			container
+		);
+		
+		expect(container.querySelector('input').indeterminate).toBe(true);
+		expect(container.querySelector('input').hasAttribute('indeterminate')).toBe(false);
+		expect(container.querySelector('select').value).toBe('y');
+	});
+});
+
+describe('Error Boundaries', () => {
+	let container;
+	const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+	class Boundary extends PicoComponent {
+		constructor(props) {
+			super(props);
+			this.state = { error: null };
+		}
+		static getDerivedStateFromError(error) {
+			return { error };
+		}
+		componentDidCatch(error, info) {
+			if (this.props.onCatch) this.props.onCatch(error, info);
+		}
+		render() {
+			if (this.state.error) return h('p', { class: 'fallback' }, this.state.error.message);
+			return h('div', { class: 'content' }, this.props.children);
+		}
+	}
+
+	function Thrower({ message }) {
+		throw new Error(message);
+	}
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	it('should render the fallback when a child throws during the first render', () => {
+		const onCatch = jest.fn();
+		PicoJSX.render(
+			h('main', null,
+				h('span', null, 'before'),
+				h(Boundary, { onCatch }, h(Thrower, { message: 'boom' })),
+				h('span', null, 'after')
+			),
+			container
+		);
+
+		expect(container.innerHTML).toBe('<main><span>before</span><p class="fallback">boom</p><span>after</span></main>');
+		expect(onCatch).toHaveBeenCalledTimes(1);
+		expect(onCatch.mock.calls[0][0].message).toBe('boom');
+	});
+
+	it('should include a component stack in the info', () => {
+		const onCatch = jest.fn();
+		const Middle = () => h('section', null, h(Thrower, { message: 'deep' }));
+		class App extends PicoComponent {
+			render() {
+				return h(Boundary, { onCatch }, h(Middle));
+			}
+		}
+
+		PicoJSX.render(h(App), container);
+
+		const { componentStack } = onCatch.mock.calls[0][1];
+		expect(componentStack).toBe('\n    in Thrower\n    in Middle\n    in Boundary\n    in App');
+	});
+
+	it('should let the error climb past components that are not boundaries', () => {
+		class Outer extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { caught: false };
+			}
+			componentDidCatch() {
+				this.setState({ caught: true });
+			}
+			render() {
+				return this.state.caught ? h('em', null, 'outer caught') : h('div', null, this.props.children);
+			}
+		}
+		class Plain extends PicoComponent {
+			render() {
+				return h('div', null, h(Thrower, { message: 'x' }));
+			}
+		}
+
+		PicoJSX.render(h(Outer, null, h(Plain)), container);
+		expect(container.innerHTML).toBe('<em>outer caught</em>');
+	});
+
+	it('should pass errors thrown by a fallback to the next boundary', () => {
+		class Broken extends PicoComponent {
+			static getDerivedStateFromError() {
+				return { failed: true };
+			}
+			render() {
+				if (this.state.failed) throw new Error('fallback failed');
+				return h(Thrower, { message: 'first' });
+			}
+		}
+
+		PicoJSX.render(h(Boundary, null, h(Broken)), container);
+		expect(container.innerHTML).toBe('<p class="fallback">fallback failed</p>');
+	});
+
+	it('should not mount components from the failed subtree', async () => {
+		const didMount = jest.fn();
+		const willUnmount = jest.fn();
+		class Sibling extends PicoComponent {
+			componentDidMount() { didMount(); }
+			componentWillUnmount() { willUnmount(); }
+			render() {
+				return h('i', null, 'sibling');
+			}
+		}
+
+		PicoJSX.render(h(Boundary, null, h(Sibling), h(Thrower, { message: 'nope' })), container);
+		await tick();
+
+		expect(container.innerHTML).toBe('<p class="fallback">nope</p>');
+		expect(didMount).not.toHaveBeenCalled();
+		expect(willUnmount).not.toHaveBeenCalled();
+	});
+
+	it('should replace the subtree and unmount it when an update throws', async () => {
+		const willUnmount = jest.fn();
+		let setCount;
+		class Stable extends PicoComponent {
+			componentWillUnmount() { willUnmount(); }
+			render() {
+				return h('b', null, 'stable');
+			}
+		}
+		const Counter = () => {
+			const [count, set] = useState(0);
+			setCount = set;
+			if (count > 0) throw new Error(`bad count ${count}`);
+			return h('span', null, count);
+		};
+
+		PicoJSX.render(
+			h('div', null, h(Boundary, null, h(Stable), h(Counter)), h('footer', null, 'end')),
+			container
+		);
+		await tick();
+		expect(container.innerHTML).toBe('<div><div class="content"><b>stable</b><span>0</span></div><footer>end</footer></div>');
+
+		flushSync(() => setCount(1));
+
+		expect(container.innerHTML).toBe('<div><p class="fallback">bad count 1</p><footer>end</footer></div>');
+		expect(willUnmount).toHaveBeenCalledTimes(1);
+		const boundary = container.querySelector('p')._picoInstance;
+		expect(boundary).toBeInstanceOf(Boundary);
+		expect(boundary._dom).toBe(container.querySelector('p'));
+	});
+
+	it('should catch errors from a parent re-render and from lifecycle methods', () => {
+		class FailsOnUpdate extends PicoComponent {
+			componentDidUpdate() {
+				throw new Error('update failed');
+			}
+			render() {
+				return h('span', null, this.props.label);
+			}
+		}
+		class FailsOnMount extends PicoComponent {
+			componentDidMount() {
+				throw new Error('mount failed');
+			}
+			render() {
+				return h('span', null, 'mounting');
+			}
+		}
+
+		PicoJSX.render(h(Boundary, null, h(FailsOnUpdate, { label: 'a' })), container);
+		const boundary = container.querySelector('div')._picoInstance;
+		flushSync(() => boundary.forceUpdate());
+		expect(container.innerHTML).toBe('<p class="fallback">update failed</p>');
+
+		const other = document.createElement('div');
+		container.appendChild(other);
+		PicoJSX.render(h(Boundary, null, h(FailsOnMount)), other);
+		expect(other.innerHTML).toBe('<p class="fallback">mount failed</p>');
+	});
+
+	it('should rethrow when there is no boundary and keep flushing other updates', () => {
+		expect(() => PicoJSX.render(h('div', null, h(Thrower, { message: 'uncaught' })), container)).toThrow('uncaught');
+
+		let fail = false;
+		class Fragile extends PicoComponent {
+			render() {
+				if (fail) throw new Error('fragile');
+				return h('span', null, 'ok');
+			}
+		}
+		class Healthy extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { n: 0 };
+			}
+			render() {
+				return h('span', null, this.state.n);
+			}
+		}
+		const a = document.createElement('div');
+		const b = document.createElement('div');
+		PicoJSX.render(h(Fragile), a);
+		PicoJSX.render(h(Healthy), b);
+
+		fail = true;
+		expect(() => flushSync(() => {
+			a.firstChild._picoInstance.forceUpdate();
+			b.firstChild._picoInstance.setState({ n: 1 });
+		})).toThrow('fragile');
+		expect(b.textContent).toBe('1');
+	});
+});
+
+describe('Context', () => {
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	it('should pass the nearest Provider value to Consumers, contextType and useContext', () => {
+		const Theme = createContext('light');
+		class ClassLabel extends PicoComponent {
+			static contextType = Theme;
+			render() {
+				return h('b', null, this.context);
+			}
+		}
+		const HookLabel = () => h('i', null, useContext(Theme));
+		const Panel = () => h('section', null,
+			h(Theme.Consumer, null, value => h('span', null, value)),
+			h(ClassLabel),
+			h(HookLabel)
+		);
+
+		PicoJSX.render(
+			h('div', null,
+				h(Panel),
+				h(Theme.Provider, { value: 'dark' }, h(Panel)),
+				h(Theme.Provider, { value: 'blue' }, h(Panel), h(Theme.Provider, { value: 'red' }, h(Panel)))
+			),
+			container
+		);
+
+		const panels = Array.from(container.querySelectorAll('section')).map(section => section.textContent);
+		expect(panels).toEqual(['lightlightlight', 'darkdarkdark', 'blueblueblue', 'redredred']);
+	});
+
+	it('should re-render consumers when the Provider value changes, even below skipped updates', () => {
+		const Theme = createContext('light');
+		const renders = jest.fn();
+		const Label = () => {
+			renders();
+			return h('span', null, useContext(Theme));
+		};
+		class Frozen extends PicoComponent {
+			shouldComponentUpdate() {
+				return false;
+			}
+			render() {
+				return h('div', null, h(Label));
+			}
+		}
+		class App extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { theme: 'dark', clicks: 0 };
+			}
+			render() {
+				return h(Theme.Provider, { value: this.state.theme }, h(Frozen));
+			}
+		}
+
+		PicoJSX.render(h(App), container);
+		const app = container.querySelector('div')._picoInstance;
+		expect(container.textContent).toBe('dark');
+		expect(renders).toHaveBeenCalledTimes(1);
+
+		flushSync(() => app.setState({ clicks: 1 }));
+		expect(renders).toHaveBeenCalledTimes(1);
+
+		flushSync(() => app.setState({ theme: 'light' }));
+		expect(container.textContent).toBe('light');
+		expect(renders).toHaveBeenCalledTimes(2);
+	});
+
+	it('should update consumers below skipped updates before render() returns', () => {
+		const Theme = createContext('light');
+		class Frozen extends PureComponent {
+			render() {
+				return h('div', null, h(Theme.Consumer, null, value => h('span', null, value)));
+			}
+		}
+		const app = theme => h(Theme.Provider, { value: theme }, h(Frozen));
+
+		PicoJSX.render(app('a'), container);
+		PicoJSX.render(app('b'), container);
+		expect(container.textContent).toBe('b');
+	});
+
+	it('should stop notifying consumers once they are unmounted', () => {
+		const Count = createContext(0);
+		class Reader extends PicoComponent {
+			static contextType = Count;
+			render() {
+				return h('span', null, this.context);
+			}
+		}
+		class App extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { count: 1, show: true };
+			}
+			render() {
+				return h(Count.Provider, { value: this.state.count },
+					h('div', null, this.state.show ? h(Reader) : null)
+				);
+			}
+		}
+
+		PicoJSX.render(h(App), container);
+		const provider = container.querySelector('div')._picoInstance._childVNode._instance;
+		expect(provider._subscribers.size).toBe(1);
+
+		const app = container.querySelector('div')._picoInstance;
+		flushSync(() => app.setState({ show: false }));
+		expect(provider._subscribers.size).toBe(0);
+
+		flushSync(() => app.setState({ count: 2 }));
+		expect(container.innerHTML).toBe('<div></div>');
+	});
+});
+
+describe('Portals', () => {
+	let container;
+	let target;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		target = document.createElement('div');
+		document.body.appendChild(container);
+		document.body.appendChild(target);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		document.body.removeChild(target);
+	});
+
+	it('should render into the target container and leave a placeholder in place', () => {
+		PicoJSX.render(
+			h('div', { class: 'card' },
+				h('span', null, 'inline'),
+				createPortal(h('p', { class: 'modal' }, 'in portal'), target)
+			),
+			container
+		);
+
+		expect(container.innerHTML).toBe('<div class="card"><span>inline</span><!--portal--></div>');
+		expect(target.innerHTML).toBe('<p class="modal">in portal</p>');
+	});
+
+	it('should diff portal content with the owner and pass context through', () => {
+		const Theme = createContext('light');
+		const Label = () => h('b', null, useContext(Theme));
+		class Modal extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { text: 'first', theme: 'dark' };
+			}
+			render() {
+				return h(Theme.Provider, { value: this.state.theme },
+					h('div', null, createPortal([h('input', null), h('span', null, this.state.text), h(Label)], target))
+				);
+			}
+		}
+
+		PicoJSX.render(h(Modal), container);
+		const input = target.querySelector('input');
+		const modal = container.querySelector('div')._picoInstance;
+		expect(target.textContent).toBe('firstdark');
+
+		flushSync(() => modal.setState({ text: 'second', theme: 'blue' }));
+		expect(target.textContent).toBe('secondblue');
+		expect(target.querySelector('input')).toBe(input);
+	});
+
+	it('should unmount portal content with its owner', () => {
+		const willUnmount = jest.fn();
+		const ref = { current: null };
+		class Tooltip extends PicoComponent {
+			componentWillUnmount() { willUnmount(); }
+			render() {
+				return h('div', { ref, class: 'tooltip' }, 'tip');
+			}
+		}
+		class Owner extends PicoComponent {
+			render() {
+				return h('div', null, createPortal(h(Tooltip), target));
+			}
+		}
+		class App extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { show: true };
+			}
+			render() {
+				return h('main', null, this.state.show ? h(Owner) : h('p', null, 'gone'));
+			}
+		}
+
+		PicoJSX.render(h(App), container);
+		expect(target.innerHTML).toBe('<div class="tooltip">tip</div>');
+		expect(ref.current).toBe(target.firstChild);
+
+		flushSync(() => container.querySelector('main')._picoInstance.setState({ show: false }));
+		expect(target.innerHTML).toBe('');
+		expect(willUnmount).toHaveBeenCalledTimes(1);
+		expect(ref.current).toBe(null);
+	});
+
+	it('should remove portal content when the portal is conditionally dropped or moved', () => {
+		const other = document.createElement('div');
+		class Toggle extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { where: target };
+			}
+			render() {
+				const { where } = this.state;
+				return h('div', null, where ? createPortal('hello', where) : null);
+			}
+		}
+
+		PicoJSX.render(h(Toggle), container);
+		const toggle = container.querySelector('div')._picoInstance;
+		expect(target.textContent).toBe('hello');
+
+		flushSync(() => toggle.setState({ where: other }));
+		expect(target.textContent).toBe('');
+		expect(other.textContent).toBe('hello');
+
+		flushSync(() => toggle.setState({ where: null }));
+		expect(other.textContent).toBe('');
+		expect(container.innerHTML).toBe('<div></div>');
+	});
+
+	it('should mount portals when hydrating server markup', () => {
+		container.innerHTML = '<div><span>server</span></div>';
+		const span = container.querySelector('span');
+		PicoJSX.hydrate(h('div', null, h('span', null, 'server'), createPortal(h('p', null, 'client only'), target)), container);
+
+		expect(container.querySelector('span')).toBe(span);
+		expect(container.innerHTML).toBe('<div><span>server</span><!--portal--></div>');
+		expect(target.innerHTML).toBe('<p>client only</p>');
+	});
+});
+
+describe('Keyed Reconciliation', () => {
+	let container;
+
+	// Deterministic shuffle so failures are reproducible
+	const shuffle = (items, seed) => {
+		const result = items.slice();
+		let state = seed;
+		for (let i = result.length - 1; i > 0; i--) {
+			state = (state * 1103515245 + 12345) % 2147483648;
+			const j = state % (i + 1);
+			[result[i], result[j]] = [result[j], result[i]];
+		}
+		return result;
+	};
+
+	// Reference O(n^2) longest increasing subsequence length
+	const lisLength = (sequence) => {
+		const lengths = sequence.map(() => 1);
+		for (let i = 0; i < sequence.length; i++) {
+			for (let j = 0; j < i; j++) {
+				if (sequence[j] < sequence[i]) lengths[i] = Math.max(lengths[i], lengths[j] + 1);
+			}
+		}
+		return Math.max(0, ...lengths);
+	};
+
+	class List extends PicoComponent {
+		constructor(props) {
+			super(props);
+			this.state = { items: props.items };
+		}
+		render() {
+			return h('ul', null, this.state.items.map(item => h('li', { key: item }, String(item))));
+		}
+	}
+
+	const mount = (items) => {
+		PicoJSX.render(h(List, { items }), container);
+		const ul = container.querySelector('ul');
+		return { ul, list: ul._picoInstance };
+	};
+
+	const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	it('should reverse a list with one move per node but one', () => {
+		const items = range(100);
+		const { ul, list } = mount(items);
+		const before = Array.from(ul.children);
+		const insertBefore = jest.spyOn(ul, 'insertBefore');
+
+		flushSync(() => list.setState({ items: items.slice().reverse() }));
+
+		expect(insertBefore).toHaveBeenCalledTimes(99);
+		expect(Array.from(ul.children)).toEqual(before.slice().reverse());
+	});
+
+	it('should move a single node when one item moves', () => {
+		const items = range(50);
+		const { ul, list } = mount(items);
+		const moved = ul.children[49];
+		const insertBefore = jest.spyOn(ul, 'insertBefore');
+
+		flushSync(() => list.setState({ items: [49, ...items.slice(0, 49)] }));
+
+		expect(insertBefore).toHaveBeenCalledTimes(1);
+		expect(ul.firstChild).toBe(moved);
+		expect(ul.textContent).toBe([49, ...items.slice(0, 49)].join(''));
+	});
+
+	it('should do the fewest moves on large shuffled lists', () => {
+		const items = range(1000);
+		const { ul, list } = mount(items);
+		const byKey = new Map(Array.from(ul.children).map((li, i) => [i, li]));
+		const insertBefore = jest.spyOn(ul, 'insertBefore');
+
+		[1, 2, 3].forEach(seed => {
+			insertBefore.mockClear();
+			const current = list.state.items;
+			const next = shuffle(current, seed);
+			const positions = new Map(current.map((item, i) => [item, i]));
+
+			flushSync(() => list.setState({ items: next }));
+
+			expect(insertBefore).toHaveBeenCalledTimes(next.length - lisLength(next.map(item => positions.get(item))));
+			expect(Array.from(ul.children)).toEqual(next.map(item => byKey.get(item)));
+		});
+	});
+
+	it('should not move anything when items are only added and removed', () => {
+		const { ul, list } = mount(range(10));
+		const kept = ul.children[5];
+		const insertBefore = jest.spyOn(ul, 'insertBefore');
+		const removeChild = jest.spyOn(ul, 'removeChild');
+
+		flushSync(() => list.setState({ items: ['a', 0, 2, 3, 4, 5, 'b', 7, 8, 9, 'c'] }));
+
+		expect(insertBefore).toHaveBeenCalledTimes(3);
+		expect(removeChild).toHaveBeenCalledTimes(2);
+		expect(ul.children[5]).toBe(kept);
+		expect(ul.textContent).toBe('a02345b789c');
+	});
+
+	it('should keep focus on a moved input', () => {
+		class Inputs extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { order: ['a', 'b', 'c'] };
+			}
+			render() {
+				return h('div', null, this.state.order.map(id => h('input', { key: id, id })));
+			}
+		}
+		PicoJSX.render(h(Inputs), container);
+		const input = container.querySelector('#b');
+		input.focus();
+
+		flushSync(() => container.querySelector('div')._picoInstance.setState({ order: ['c', 'a', 'b'] }));
+
+		expect(Array.from(container.querySelectorAll('input')).map(el => el.id)).toEqual(['c', 'a', 'b']);
+		expect(document.activeElement).toBe(input);
+	});
+});
+
+describe('DOM Tracking', () => {
+	let container;
+
+	class Stateful extends PicoComponent {
+		constructor(props) {
+			super(props);
+			this.state = props.initial || {};
+		}
+		render() {
+			return this.props.view(this.state);
+		}
+	}
+
+	const mount = (initial, view) => {
+		PicoJSX.render(h(Stateful, { initial, view }), container);
+		return container.firstChild._picoInstance;
+	};
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	it('should place fragments between element siblings correctly', () => {
+		const app = mount({ show: false, items: ['a', 'b'] }, ({ show, items }) =>
+			h('div', null,
+				h('b', null, 'start'),
+				show ? h(Fragment, null, items.map(item => h('span', null, item))) : h('hr', null),
+				h('i', null, 'end')
+			)
+		);
+		const text = () => container.firstChild.textContent;
+
+		flushSync(() => app.setState({ show: true }));
+		expect(text()).toBe('startabend');
+		expect(container.querySelector('hr')).toBe(null);
+
+		flushSync(() => app.setState({ items: ['a', 'b', 'c'] }));
+		expect(text()).toBe('startabcend');
+
+		flushSync(() => app.setState({ items: ['c'] }));
+		expect(text()).toBe('startcend');
+		expect(container.firstChild.lastChild.textContent).toBe('end');
+
+		flushSync(() => app.setState({ show: false }));
+		expect(container.firstChild.innerHTML).toBe('<b>start</b><hr><i>end</i>');
+	});
+
+	it('should move keyed fragments and components rendering fragments as a whole', () => {
+		const Pair = ({ term }) => h(Fragment, null, h('dt', null, term), h('dd', null, term.toUpperCase()));
+		const app = mount({ terms: ['x', 'y', 'z'] }, ({ terms }) =>
+			h('dl', null,
+				terms.map(term => h(Pair, { key: term, term })),
+				h('hr', null)
+			)
+		);
+		const dl = container.querySelector('dl');
+		const nodes = (selector) => Array.from(dl.querySelectorAll(selector));
+		const [dtX, dtY, dtZ] = nodes('dt');
+
+		flushSync(() => app.setState({ terms: ['z', 'x', 'y'] }));
+		expect(nodes('dt')).toEqual([dtZ, dtX, dtY]);
+		expect(Array.from(dl.children).map(el => el.textContent).join('')).toBe('zZxXyY');
+		expect(dl.lastChild.nodeName).toBe('HR');
+
+		flushSync(() => app.setState({ terms: ['y', 'w'] }));
+		expect(nodes('dt')).toEqual([dtY, nodes('dt')[1]]);
+		expect(Array.from(dl.children).map(el => el.textContent).join('')).toBe('yYwW');
+	});
+
+	it('should keep tracking a child whose root node changed on its own update', () => {
+		let toggle;
+		class Switcher extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { tag: 'p' };
+				toggle = () => this.setState({ tag: 'section' });
+			}
+			render() {
+				return h(this.state.tag, null, 'switch');
+			}
+		}
+		const app = mount({ before: true }, ({ before }) =>
+			h('main', null, before ? h('span', { key: 'before' }, 'before') : null, h(Switcher, { key: 'switcher' }), h('u', { key: 'after' }, 'after'))
+		);
+
+		flushSync(() => toggle());
+		expect(container.firstChild.innerHTML).toBe('<span>before</span><section>switch</section><u>after</u>');
+
+		flushSync(() => app.setState({ before: false }));
+		expect(container.firstChild.innerHTML).toBe('<section>switch</section><u>after</u>');
+	});
+
+	it('should not scan childNodes when updating a long list', () => {
+		const rows = Array.from({ length: 5000 }, (_, i) => i);
+		const app = mount({ rows, selected: -1 }, ({ rows, selected }) =>
+			h('table', null, h('tbody', null, rows.map(row =>
+				h('tr', { key: row, className: row === selected ? 'selected' : '' }, h('td', null, row))
+			)))
+		);
+		const tbody = container.querySelector('tbody');
+		const childNodes = Object.getOwnPropertyDescriptor(Node.prototype, 'childNodes').get;
+		let reads = 0;
+		Object.defineProperty(tbody, 'childNodes', {
+			get() {
+				reads++;
+				return childNodes.call(this);
+			},
+		});
+
+		flushSync(() => app.setState({ selected: 4321, rows: rows.slice(1) }));
+
+		expect(reads).toBe(0);
+		expect(tbody.children.length).toBe(4999);
+		expect(tbody.querySelector('.selected').textContent).toBe('4321');
+	});
+});
+
+describe('Render Results', () => {
+	let container;
+
+	class Shape extends PicoComponent {
+		constructor(props) {
+			super(props);
+			this.state = { value: props.value };
+		}
+		render() {
+			return this.state.value;
+		}
+	}
+
+	const mount = (value) => {
+		PicoJSX.render(h('div', null, h('b', null, '['), h(Shape, { value }), h('b', null, ']')), container);
+		return container.firstChild.childNodes[1]._picoInstance;
+	};
+	const html = () => container.firstChild.innerHTML.replace(/<!--fragment-(start|end)-->/g, '');
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	it('should render nothing for null and false but keep the place', () => {
+		const shape = mount(null);
+		expect(html()).toBe('<b>[</b><b>]</b>');
+		expect(container.firstChild.childNodes.length).toBe(3);
+
+		flushSync(() => shape.setState({ value: h('i', null, 'later') }));
+		expect(html()).toBe('<b>[</b><i>later</i><b>]</b>');
+
+		flushSync(() => shape.setState({ value: false }));
+		expect(html()).toBe('<b>[</b><b>]</b>');
+	});
+
+	it('should render strings and numbers as text', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		const shape = mount('hello');
+		expect(html()).toBe('<b>[</b>hello<b>]</b>');
+
+		flushSync(() => shape.setState({ value: 42 }));
+		expect(html()).toBe('<b>[</b>42<b>]</b>');
+		expect(warn).not.toHaveBeenCalled();
+		warn.mockRestore();
+	});
+
+	it('should treat arrays as an implicit fragment', () => {
+		const shape = mount([h('i', { key: 'a' }, 'a'), 'text', h('i', { key: 'b' }, 'b')]);
+		expect(html()).toBe('<b>[</b><i>a</i>text<i>b</i><b>]</b>');
+		const [a, b] = container.querySelectorAll('i');
+
+		flushSync(() => shape.setState({ value: [h('i', { key: 'b' }, 'b'), h('i', { key: 'a' }, 'a')] }));
+		expect(html()).toBe('<b>[</b><i>b</i><i>a</i><b>]</b>');
+		expect(Array.from(container.querySelectorAll('i'))).toEqual([b, a]);
+	});
+
+	it('should patch when switching between forms', () => {
+		const shape = mount(null);
+		const forms = [
+			['text', '<b>[</b>text<b>]</b>'],
+			[[h('u', null, 1), h('u', null, 2)], '<b>[</b><u>1</u><u>2</u><b>]</b>'],
+			[7, '<b>[</b>7<b>]</b>'],
+			[h('p', null, 'element'), '<b>[</b><p>element</p><b>]</b>'],
+			[['only'], '<b>[</b>only<b>]</b>'],
+			[undefined, '<b>[</b><b>]</b>'],
+			[[], '<b>[</b><b>]</b>'],
+			['back', '<b>[</b>back<b>]</b>'],
+		];
+
+		forms.forEach(([value, expected]) => {
+			flushSync(() => shape.setState({ value }));
+			expect(html()).toBe(expected);
+		});
+		expect(container.firstChild.childNodes[1]._picoInstance).toBe(shape);
+	});
+
+	it('should support the same results from functional components and render()', () => {
+		const List = ({ items }) => items.map(item => h('li', { key: item }, item));
+		PicoJSX.render(h('ul', null, h(List, { items: ['x', 'y'] })), container);
+		expect(container.querySelectorAll('li').length).toBe(2);
+
+		const root = document.createElement('div');
+		PicoJSX.render([h('span', null, 'one'), 'two'], root);
+		expect(root.textContent).toBe('onetwo');
+		PicoJSX.render(null, root);
+		expect(root.textContent).toBe('');
+	});
+});
+
+describe('Root Rendering', () => {
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+		jest.useFakeTimers();
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.runOnlyPendingTimers();
+		jest.useRealTimers();
+	});
+
+	it('should diff against the previous tree when rendering into the same container', () => {
+		const willUnmount = jest.fn();
+		const didUpdate = jest.fn();
+
+		class Layout extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { clicks: 0 };
+			}
+			componentDidUpdate(prevProps) { didUpdate(prevProps.page); }
+			componentWillUnmount() { willUnmount(); }
+			render() {
+				return h('main', null, h('input', null), h('p', null, `${this.props.page} ${this.state.clicks}`));
+			}
+		}
+
+		PicoJSX.render(h(Layout, { page: 'home' }), container);
+		jest.runAllTimers();
+		const main = container.querySelector('main');
+		const input = container.querySelector('input');
+		const layout = main._picoInstance;
+		flushSync(() => layout.setState({ clicks: 3 }));
+		input.focus();
+
+		PicoJSX.render(h(Layout, { page: 'user' }), container);
+
+		expect(container.querySelector('main')).toBe(main);
+		expect(main._picoInstance).toBe(layout);
+		expect(container.querySelector('p').textContent).toBe('user 3');
+		expect(document.activeElement).toBe(input);
+		expect(didUpdate).toHaveBeenCalledWith('home');
+		expect(willUnmount).not.toHaveBeenCalled();
+		expect(container.childNodes.length).toBe(1);
+	});
+
+	it('should replace the tree when the root type or key changes', () => {
+		const willUnmount = jest.fn();
+
+		class Page extends PicoComponent {
+			componentWillUnmount() { willUnmount(this.props.id); }
+			render() { return h('section', null, this.props.id); }
+		}
+
+		PicoJSX.render(h(Page, { id: 'a', key: 'a' }), container);
+		const first = container.firstChild;
+
+		PicoJSX.render(h(Page, { id: 'b', key: 'b' }), container);
+		expect(willUnmount).toHaveBeenCalledWith('a');
+		expect(container.firstChild).not.toBe(first);
+		expect(container.innerHTML).toBe('<section>b</section>');
+
+		PicoJSX.render(h('p', null, 'plain'), container);
+		expect(willUnmount).toHaveBeenCalledWith('b');
+		expect(container.innerHTML).toBe('<p>plain</p>');
+	});
+
+	it('should unmount the whole tree and clear the container', () => {
+		const calls = [];
+		const ref = jest.fn();
+
+		class Item extends PicoComponent {
+			componentWillUnmount() { calls.push(`item ${this.props.id}`); }
+			render() { return h('li', { ref }, this.props.id); }
+		}
+
+		class List extends PicoComponent {
+			componentWillUnmount() { calls.push('list'); }
+			render() { return h('ul', null, h(Item, { id: 1 }), h(Item, { id: 2 })); }
+		}
+
+		const Hooked = () => {
+			useEffect(() => () => calls.push('effect cleanup'), []);
+			return h(List);
+		};
+
+		PicoJSX.render(h(Fragment, null, h(Hooked), 'tail'), container);
+		jest.runAllTimers();
+
+		expect(unmount(container)).toBe(true);
+		expect(calls).toEqual(['effect cleanup', 'list', 'item 1', 'item 2']);
+		expect(ref).toHaveBeenLastCalledWith(null);
+		expect(container.childNodes.length).toBe(0);
+		expect(container._picoRoot).toBe(null);
+
+		expect(unmount(container)).toBe(false);
+		expect(() => unmount(null)).toThrow('Container must be a DOM element');
+	});
+
+	it('should mount fresh after unmount', () => {
+		const didMount = jest.fn();
+
+		class Widget extends PicoComponent {
+			componentDidMount() { didMount(); }
+			render() { return h('div', null, 'widget'); }
+		}
+
+		PicoJSX.render(h(Widget), container);
+		jest.runAllTimers();
+		unmount(container);
+
+		PicoJSX.render(h(Widget), container);
+		jest.runAllTimers();
+		expect(didMount).toHaveBeenCalledTimes(2);
+		expect(container.innerHTML).toBe('<div>widget</div>');
+	});
+
+	it('should render a nested root into an element of another tree', () => {
+		class Page extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.slot = { current: null };
+			}
+			componentDidMount() {
+				PicoJSX.render(h('p', null, 'widget'), this.slot.current);
+			}
+			render() {
+				return h('main', null, h('h1', null, this.props.title), h('div', { ref: this.slot }));
+			}
+		}
+
+		PicoJSX.render(h(Page, { title: 'title' }), container);
+		expect(container.innerHTML).toBe('<main><h1>title</h1><div><p>widget</p></div></main>');
+
+		const slot = container.querySelector('div');
+		PicoJSX.render(h('p', null, 'updated'), slot);
+		PicoJSX.render(h(Page, { title: 'renamed' }), container);
+		expect(container.innerHTML).toBe('<main><h1>renamed</h1><div><p>updated</p></div></main>');
+
+		expect(unmount(slot)).toBe(true);
+		expect(container.innerHTML).toBe('<main><h1>renamed</h1><div></div></main>');
+	});
+
+	it('should diff against hydrated markup', () => {
+		const Greeting = ({ name }) => h('p', null, `Hi ${name}`);
+		container.innerHTML = '<p>Hi server</p>';
+		const p = container.firstChild;
+
+		PicoJSX.hydrate(h(Greeting, { name: 'server' }), container);
+		PicoJSX.render(h(Greeting, { name: 'client' }), container);
+
+		expect(container.firstChild).toBe(p);
+		expect(p.textContent).toBe('Hi client');
+	});
+});
+
+describe('Styles', () => {
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	it('should append px to numbers except for unitless properties', () => {
+		PicoJSX.render(h('div', { style: { width: 100, marginTop: 0, opacity: 0.5, zIndex: 3, lineHeight: 1.5 } }), container);
+		const div = container.firstChild;
+
+		expect(div.style.width).toBe('100px');
+		expect(div.style.marginTop).toBe('0px');
+		expect(div.style.opacity).toBe('0.5');
+		expect(div.style.zIndex).toBe('3');
+		expect(div.style.lineHeight).toBe('1.5');
+	});
+
+	it('should set custom properties and !important values with setProperty', () => {
+		PicoJSX.render(h('div', { style: { '--accent': 'blue', color: 'red !important' } }), container);
+		const div = container.firstChild;
+
+		expect(div.style.getPropertyValue('--accent')).toBe('blue');
+		expect(div.style.getPropertyValue('color')).toBe('red');
+		expect(div.style.getPropertyPriority('color')).toBe('important');
+
+		PicoJSX.render(h('div', { style: { '--accent': 'green', color: 'blue' } }), container);
+		expect(div.style.getPropertyValue('--accent')).toBe('green');
+		expect(div.style.color).toBe('blue');
+		expect(div.style.getPropertyPriority('color')).toBe('');
+	});
+
+	it('should only touch keys that changed and remove keys that disappeared', () => {
+		PicoJSX.render(h('div', { style: { color: 'red', width: 10, '--gap': '4px' } }), container);
+		const div = container.firstChild;
+		div.style.transform = 'translateX(5px)';
+
+		PicoJSX.render(h('div', { style: { color: 'blue' } }), container);
+		expect(div.style.color).toBe('blue');
+		expect(div.style.width).toBe('');
+		expect(div.style.getPropertyValue('--gap')).toBe('');
+		expect(div.style.transform).toBe('translateX(5px)');
+
+		PicoJSX.render(h('div', null), container);
+		expect(div.style.color).toBe('');
+		expect(div.style.transform).toBe('translateX(5px)');
+	});
+
+	it('should switch between style strings and objects', () => {
+		PicoJSX.render(h('div', { style: 'color: red; width: 5px' }), container);
+		const div = container.firstChild;
+		expect(div.style.width).toBe('5px');
+
+		PicoJSX.render(h('div', { style: { color: 'blue' } }), container);
+		expect(div.style.color).toBe('blue');
+		expect(div.style.width).toBe('');
+
+		PicoJSX.render(h('div', { style: 'height: 2px' }), container);
+		expect(div.style.color).toBe('');
+		expect(div.style.height).toBe('2px');
+	});
+});
+
+describe('Custom Elements', () => {
+	let container;
+
+	class PicoList extends HTMLElement {
+		constructor() {
+			super();
+			this.renders = 0;
+		}
+		get items() {
+			return this._items;
+		}
+		set items(items) {
+			this._items = items;
+			this.renders++;
+		}
+	}
+	if (!customElements.get('pico-list')) customElements.define('pico-list', PicoList);
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	it('should pass props the element defines as properties', () => {
+		const items = [{ id: 1 }, { id: 2 }];
+		PicoJSX.render(h('pico-list', { items, id: 'list', label: 'Fruits' }), container);
+		const list = container.firstChild;
+
+		expect(list).toBeInstanceOf(PicoList);
+		expect(list.items).toBe(items);
+		expect(list.hasAttribute('items')).toBe(false);
+		expect(list.getAttribute('id')).toBe('list');
+		expect(list.getAttribute('label')).toBe('Fruits');
+
+		const next = [{ id: 3 }];
+		PicoJSX.render(h('pico-list', { items: next, id: 'list', label: 'Fruits' }), container);
+		expect(list.items).toBe(next);
+		PicoJSX.render(h('pico-list', { items: next, id: 'list' }), container);
+		expect(list.renders).toBe(2);
+
+		PicoJSX.render(h('pico-list', { id: 'list' }), container);
+		expect(list.items).toBeUndefined();
+	});
+
+	it('should use attributes for elements that are not defined', () => {
+		PicoJSX.render(h('pico-unknown', { items: 'a,b', open: true }), container);
+		const element = container.firstChild;
+
+		expect(element.getAttribute('items')).toBe('a,b');
+		expect(element.getAttribute('open')).toBe('');
+	});
+
+	it('should keep the case of on: event names', () => {
+		const calls = [];
+		const render = (handler) => PicoJSX.render(
+			h('pico-list', {
+				'on:valueChanged': handler,
+				'on:my-event': { handler: e => calls.push(`my-event ${e.detail}`), once: true },
+				onClick: () => calls.push('click'),
+			}),
+			container,
+			{ delegateEvents: true }
+		);
+		render(e => calls.push(`first ${e.detail}`));
+		const list = container.firstChild;
+
+		list.dispatchEvent(new CustomEvent('valueChanged', { detail: 1 }));
+		list.dispatchEvent(new CustomEvent('valuechanged', { detail: 2 }));
+		list.dispatchEvent(new CustomEvent('my-event', { detail: 3 }));
+		list.dispatchEvent(new CustomEvent('my-event', { detail: 4 }));
+		list.click();
+		expect(calls).toEqual(['first 1', 'my-event 3', 'click']);
+
+		calls.length = 0;
+		render(e => calls.push(`second ${e.detail}`));
+		list.dispatchEvent(new CustomEvent('valueChanged', { detail: 5 }));
+		expect(calls).toEqual(['second 5']);
+		PicoJSX.unmount(container);
+	});
+});
+
+describe('defineElement', () => {
+	let container;
+	let calls;
+
+	class Greeting extends PicoComponent {
+		constructor(props) {
+			super(props);
+			this.state = { clicks: 0 };
+		}
+		componentDidMount() {
+			calls.push(`mount ${this.props.name}`);
+		}
+		componentDidUpdate() {
+			calls.push(`update ${this.props.name}`);
+		}
+		componentWillUnmount() {
+			calls.push('unmount');
+		}
+		render() {
+			return h('p', { onClick: () => this.setState({ clicks: this.state.clicks + 1 }) },
+				`${this.props.greeting || 'Hello'}, ${this.props.name} (${this.state.clicks}) `,
+				this.props.children
+			);
+		}
+	}
+
+	defineElement('pico-greeting', Greeting, { observedAttributes: ['name', 'greeting'], shadow: true });
+	defineElement('pico-light-greeting', Greeting, { observedAttributes: ['name'] });
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+		calls = [];
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+	});
+
+	it('should render into a shadow root and map attributes to props', () => {
+		container.innerHTML = '<pico-greeting name="Ada"><b>!</b></pico-greeting>';
+		const element = container.firstChild;
+		const p = element.shadowRoot.querySelector('p');
+
+		expect(p.textContent).toBe('Hello, Ada (0) ');
+		expect(calls).toEqual(['mount Ada']);
+
+		p.click();
+		flushSync();
+		element.setAttribute('name', 'Grace');
+		element.setAttribute('greeting', 'Hi');
+		expect(element.shadowRoot.querySelector('p')).toBe(p);
+		expect(p.textContent).toBe('Hi, Grace (1) ');
+
+		element.removeAttribute('greeting');
+		expect(p.textContent).toBe('Hello, Grace (1) ');
+		expect(calls).toEqual(['mount Ada', 'update Ada', 'update Grace', 'update Grace', 'update Grace']);
+	});
+
+	it('should forward children through a slot', () => {
+		container.innerHTML = '<pico-greeting name="Ada"><b>!</b></pico-greeting>';
+		const slot = container.firstChild.shadowRoot.querySelector('p slot');
+
+		expect(slot).toBeTruthy();
+		expect(slot.assignedNodes()).toEqual([container.querySelector('b')]);
+	});
+
+	it('should render into light DOM without shadow', () => {
+		const element = document.createElement('pico-light-greeting');
+		element.setAttribute('name', 'Ada');
+		expect(element.childNodes.length).toBe(0);
+
+		container.appendChild(element);
+		expect(element.shadowRoot).toBe(null);
+		expect(element.innerHTML).toBe('<p>Hello, Ada (0) </p>');
+	});
+
+	it('should unmount when removed and mount again when re-attached', () => {
+		const element = document.createElement('pico-greeting');
+		element.setAttribute('name', 'Ada');
+		container.appendChild(element);
+
+		container.removeChild(element);
+		expect(calls).toEqual(['mount Ada', 'unmount']);
+		expect(element.shadowRoot.childNodes.length).toBe(0);
+
+		container.appendChild(element);
+		expect(calls).toEqual(['mount Ada', 'unmount', 'mount Ada']);
+	});
+
+	it('should receive attributes when used from a PicoJSX tree', () => {
+		PicoJSX.render(h('pico-greeting', { name: 'Ada', greeting: 'Hey' }), container);
+		const element = container.firstChild;
+		expect(element.shadowRoot.textContent).toBe('Hey, Ada (0) ');
+
+		PicoJSX.render(h('pico-greeting', { name: 'Bob', greeting: 'Hey' }), container);
+		expect(element.shadowRoot.textContent).toBe('Hey, Bob (0) ');
+	});
+
+	it('should handle events inside a shadow root rendered from a delegating tree', () => {
+		PicoJSX.render(h('section', null, h('pico-greeting', { name: 'Ada' })), container, { delegateEvents: true });
+		const p = container.querySelector('pico-greeting').shadowRoot.querySelector('p');
+
+		p.click();
+		flushSync();
+		expect(p.textContent).toBe('Hello, Ada (1) ');
+		PicoJSX.unmount(container);
+	});
+
+	it('should render into light DOM inside a PicoJSX tree', () => {
+		const page = name => h('section', null, h('h1', null, 'Team'), h('pico-light-greeting', { name }));
+
+		PicoJSX.render(page('Ada'), container);
+		const element = container.querySelector('pico-light-greeting');
+		expect(container.innerHTML).toBe('<section><h1>Team</h1><pico-light-greeting name="Ada"><p>Hello, Ada (0) </p></pico-light-greeting></section>');
+
+		PicoJSX.render(page('Bob'), container);
+		expect(container.querySelector('pico-light-greeting')).toBe(element);
+		expect(element.innerHTML).toBe('<p>Hello, Bob (0) </p>');
+		expect(calls).toEqual(['mount Ada', 'update Bob']);
+
+		PicoJSX.render(h('section', null), container);
+		expect(calls).toEqual(['mount Ada', 'update Bob', 'unmount']);
+	});
+});
@@ -0,0 +1,206 @@
+/**
+ * @jest-environment node
+ */
+import {
+	h,
+	Fragment,
+	Component as PicoComponent,
+	renderToString,
+	renderToStaticMarkup,
+	createContext,
+	createPortal,
+	useState,
+	useEffect,
+} from '../picojsx.js';
+import { jest } from '@jest/globals';
+
+describe('Server-side rendering', () => {
+	it('should run without a DOM', () => {
+		expect(typeof document).toBe('undefined');
+		expect(renderToString(h('p', null, 'Hello'))).toBe('<p>Hello</p>');
+	});
+
+	it('should render attributes, className and style objects', () => {
+		const html = renderToStaticMarkup(
+			h('div', {
+				id: 'main',
+				className: 'box active',
+				style: { backgroundColor: 'red', marginTop: '4px', '--accent': 'blue' },
+				'data-count': 3,
+				onClick: () => {},
+				ref: { current: null },
+			})
+		);
+
+		expect(html).toBe(
+			'<div id="main" class="box active" style="background-color:red;margin-top:4px;--accent:blue" data-count="3"></div>'
+		);
+	});
+
+	it('should append px to numeric style values except for unitless properties', () => {
+		expect(renderToStaticMarkup(h('div', { style: { width: 10, padding: 0, opacity: 0.5, zIndex: 2, cssFloat: 'left' } })))
+			.toBe('<div style="width:10px;padding:0;opacity:0.5;z-index:2;float:left"></div>');
+	});
+
+	it('should normalize class props and map React-style attribute names', () => {
+		const html = renderToStaticMarkup(
+			h('div', { class: ['row', { selected: true, hidden: false }] },
+				h('label', { htmlFor: 'q', className: { empty: false } }, 'Search'),
+				h('input', { id: 'q', tabIndex: 2, readOnly: true, autoFocus: false })
+			)
+		);
+
+		expect(html).toBe('<div class="row selected"><label for="q">Search</label><input id="q" tabindex="2" readonly></div>');
+	});
+
+	it('should leave event listeners out of the markup', () => {
+		const handler = () => {};
+		expect(renderToString(h('button', { onClick: handler, onWheelPassive: { handler, passive: true } }, 'ok')))
+			.toBe('<button>ok</button>');
+	});
+
+	it('should leave objects passed to custom elements out of the markup', () => {
+		expect(renderToString(h('pico-list', { items: [1, 2], label: 'List', style: { color: 'red' } })))
+			.toBe('<pico-list label="List" style="color:red"></pico-list>');
+	});
+
+	it('should render boolean attributes and void elements', () => {
+		const html = renderToStaticMarkup(
+			h('form', null,
+				h('input', { disabled: true, required: false, hidden: null }),
+				h('br', null)
+			)
+		);
+		expect(html).toBe('<form><input disabled><br></form>');
+	});
+
+	it('should escape text and attribute values', () => {
+		const html = renderToStaticMarkup(
+			h('a', { title: '"quoted" & <tag>' }, '<script>alert(1)</script>')
+		);
+		expect(html).toBe(
+			'<a title="&quot;quoted&quot; &amp; &lt;tag&gt;">&lt;script&gt;alert(1)&lt;/script&gt;</a>'
+		);
+	});
+
+	it('should skip invalid attribute names and reject invalid tags', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		const untrusted = { '"><script>alert(1)</script><x y': 'z', 'data-id': 7, 'aria-label': 'ok', 'a b': 1 };
+
+		expect(renderToStaticMarkup(h('div', untrusted))).toBe('<div data-id="7" aria-label="ok"></div>');
+		expect(warn).toHaveBeenCalledTimes(2);
+		expect(() => renderToString(h('img src=x onerror=alert(1)', null))).toThrow('Invalid tag name');
+		warn.mockRestore();
+	});
+
+	it('should insert dangerouslySetInnerHTML without escaping', () => {
+		const html = renderToStaticMarkup(
+			h('div', { dangerouslySetInnerHTML: { __html: '<b>raw</b>' } })
+		);
+		expect(html).toBe('<div><b>raw</b></div>');
+	});
+
+	it('should render class components without calling componentDidMount', () => {
+		const didMount = jest.fn();
+		class Greeting extends PicoComponent {
+			constructor(props) {
+				super(props);
+				this.state = { greeting: 'Hello' };
+			}
+			componentDidMount() { didMount(); }
+			render() {
+				return h('h1', null, `${this.state.greeting}, ${this.props.name}`);
+			}
+		}
+
+		expect(renderToString(h(Greeting, { name: 'World' }))).toBe('<h1>Hello, World</h1>');
+		expect(didMount).not.toHaveBeenCalled();
+	});
+
+	it('should apply getDerivedStateFromProps before rendering', () => {
+		class Upper extends PicoComponent {
+			static getDerivedStateFromProps(props) {
+				return { text: props.text.toUpperCase() };
+			}
+			render() {
+				return h('b', null, this.state.text);
+			}
+		}
+
+		expect(renderToString(h(Upper, { text: 'loud' }))).toBe('<b>LOUD</b>');
+	});
+
+	it('should render functional components with hooks but skip effects', () => {
+		const effect = jest.fn();
+		const Counter = ({ start }) => {
+			const [count] = useState(start);
+			useEffect(effect);
+			return h('span', null, count);
+		};
+
+		expect(renderToString(h(Counter, { start: 7 }))).toBe('<span>7</span>');
+		expect(effect).not.toHaveBeenCalled();
+	});
+
+	it('should render form-control values as markup', () => {
+		const html = renderToStaticMarkup(
+			h('form', null,
+				h('textarea', { value: 'a < b' }),
+				h('select', { value: 'two' },
+					h('option', { value: 'one' }, 'One'),
+					h('option', { value: 'two' }, 'Two')
+				),
+				h('input', { defaultValue: 'x', defaultChecked: true, indeterminate: true })
+			)
+		);
+
+		expect(html).toBe(
+			'<form><textarea>a &lt; b</textarea>' +
+			'<select><option value="one">One</option><option value="two" selected>Two</option></select>' +
+			'<input value="x" checked></form>'
+		);
+	});
+
+	it('should mark fragments and adjacent text only in hydratable output', () => {
+		const vnode = h('ul', null,
+			h(Fragment, null, h('li', null, 'a', 'b'), h('li', null, 'c'))
+		);
+
+		expect(renderToString(vnode)).toBe(
+			'<ul><!--fragment-start--><li>a<!---->b</li><li>c</li><!--fragment-end--></ul>'
+		);
+		expect(renderToStaticMarkup(vnode)).toBe('<ul><li>ab</li><li>c</li></ul>');
+	});
+
+	it('should separate text rendered by components from adjacent text', () => {
+		const Name = () => 'Ada';
+		const vnode = h('p', null, 'Hello ', h(Name), '!', h('br', null), 'next');
+
+		expect(renderToString(vnode)).toBe('<p>Hello <!---->Ada<!---->!<br>next</p>');
+		expect(renderToStaticMarkup(vnode)).toBe('<p>Hello Ada!<br>next</p>');
+	});
+
+	it('should read context values from Providers', () => {
+		const Locale = createContext('en');
+		const Greeting = () => h(Locale.Consumer, null, locale => h('p', null, locale));
+
+		const html = renderToStaticMarkup(
+			h('div', null, h(Greeting), h(Locale.Provider, { value: 'es' }, h(Greeting)))
+		);
+		expect(html).toBe('<div><p>en</p><p>es</p></div>');
+	});
+
+	it('should leave portals out of the markup', () => {
+		const html = renderToStaticMarkup(h('div', null, 'page', createPortal(h('p', null, 'modal'), null)));
+		expect(html).toBe('<div>page</div>');
+	});
+
+	it('should render components returning null, text or arrays', () => {
+		const Nothing = () => null;
+		const Text = () => 'plain';
+		const Items = () => [h('li', { key: 1 }, 'a'), h('li', { key: 2 }, 'b')];
+
+		expect(renderToStaticMarkup(h('ul', null, h(Nothing), h(Text), h(Items)))).toBe('<ul>plain<li>a</li><li>b</li></ul>');
+		expect(renderToString(h('ul', null, h(Items)))).toBe('<ul><!--fragment-start--><li>a</li><li>b</li><!--fragment-end--></ul>');
+	});
+});
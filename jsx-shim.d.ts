@@ -8,6 +8,7 @@ import { JSX as PicoJSX } from './picojsx';
 declare global {
     namespace JSX {
         type Element = PicoJSX.Element;
+        type ElementType = PicoJSX.ElementType;
         interface ElementChildrenAttribute extends PicoJSX.ElementChildrenAttribute {}
         interface IntrinsicElements extends PicoJSX.IntrinsicElements {}
     }
@@ -11,6 +11,8 @@ export interface VNode<P = any> {
     props: P | null;
     children: VNode[];
     key?: string | number | null;
+    /** Ref given to a component, element refs stay in `props.ref`. */
+    ref?: Ref<any> | null;
     text?: string;
     _instance?: Component<P>;
     _startMarker?: Comment;
@@ -24,13 +26,31 @@ export interface RefObject<T> {
 export type RefCallback<T> = (instance: T | null) => void;
 export type Ref<T> = RefCallback<T> | RefObject<T>;
 
+export interface ListenerObject<E extends Event = Event> {
+    handler: (e: E) => void;
+    capture?: boolean;
+    passive?: boolean;
+    once?: boolean;
+}
+
+export type EventHandler<E extends Event = Event> = ((e: E) => void) | ListenerObject<E>;
+
+export type ClassValue = string | number | null | undefined | false | ClassValue[] | { [className: string]: unknown };
+
+export type CSSProperties = {
+    [K in keyof CSSStyleDeclaration as CSSStyleDeclaration[K] extends string ? K : never]?: string | number | null;
+} & {
+    [custom: `--${string}`]: string | number | null | undefined;
+};
+
 export interface HTMLAttributes<T extends EventTarget = HTMLElement> {
     children?: VNodeChildren;
-    className?: string;
+    className?: ClassValue;
+    class?: ClassValue;
     id?: string;
-    style?: string | Partial<CSSStyleDeclaration>;
+    style?: string | CSSProperties;
     key?: string | number;
-    ref?: Ref<T>;
+    ref?: Ref<T> | null;
     dangerouslySetInnerHTML?: { __html: string };
 
     title?: string;
@@ -45,45 +65,49 @@ export interface HTMLAttributes<T extends EventTarget = HTMLElement> {
 
     [key: `data-${string}`]: string | number | boolean | undefined;
     [key: `aria-${string}`]: string | number | boolean | undefined;
-
-    onClick?: (e: MouseEvent) => void;
-    onDblClick?: (e: MouseEvent) => void;
-    onMouseDown?: (e: MouseEvent) => void;
-    onMouseUp?: (e: MouseEvent) => void;
-    onMouseMove?: (e: MouseEvent) => void;
-    onMouseEnter?: (e: MouseEvent) => void;
-    onMouseLeave?: (e: MouseEvent) => void;
-    onMouseOver?: (e: MouseEvent) => void;
-    onMouseOut?: (e: MouseEvent) => void;
-    onContextMenu?: (e: MouseEvent) => void;
-    onKeyDown?: (e: KeyboardEvent) => void;
-    onKeyUp?: (e: KeyboardEvent) => void;
-    onKeyPress?: (e: KeyboardEvent) => void;
-    onFocus?: (e: FocusEvent) => void;
-    onBlur?: (e: FocusEvent) => void;
-    onInput?: (e: Event) => void;
-    onChange?: (e: Event) => void;
-    onSubmit?: (e: Event) => void;
-    onReset?: (e: Event) => void;
-    onScroll?: (e: Event) => void;
-    onWheel?: (e: WheelEvent) => void;
-    onDrag?: (e: DragEvent) => void;
-    onDragStart?: (e: DragEvent) => void;
-    onDragEnd?: (e: DragEvent) => void;
-    onDragEnter?: (e: DragEvent) => void;
-    onDragLeave?: (e: DragEvent) => void;
-    onDragOver?: (e: DragEvent) => void;
-    onDrop?: (e: DragEvent) => void;
-    onTouchStart?: (e: TouchEvent) => void;
-    onTouchMove?: (e: TouchEvent) => void;
-    onTouchEnd?: (e: TouchEvent) => void;
-    onTouchCancel?: (e: TouchEvent) => void;
-    onLoad?: (e: Event) => void;
-    onError?: (e: Event) => void;
-    onAnimationStart?: (e: AnimationEvent) => void;
-    onAnimationEnd?: (e: AnimationEvent) => void;
-    onAnimationIteration?: (e: AnimationEvent) => void;
-    onTransitionEnd?: (e: TransitionEvent) => void;
+    /** Listener options by name, e.g. `onClickCapture`, `onWheelPassive` or `onClickOnce`. */
+    [key: `on${string}${'Capture' | 'Passive' | 'Once'}`]: EventHandler<any> | undefined;
+    /** Listens for an event with exactly this name, e.g. `on:value-changed`. */
+    [key: `on:${string}`]: EventHandler<any> | undefined;
+
+    onClick?: EventHandler<MouseEvent>;
+    onDblClick?: EventHandler<MouseEvent>;
+    onMouseDown?: EventHandler<MouseEvent>;
+    onMouseUp?: EventHandler<MouseEvent>;
+    onMouseMove?: EventHandler<MouseEvent>;
+    onMouseEnter?: EventHandler<MouseEvent>;
+    onMouseLeave?: EventHandler<MouseEvent>;
+    onMouseOver?: EventHandler<MouseEvent>;
+    onMouseOut?: EventHandler<MouseEvent>;
+    onContextMenu?: EventHandler<MouseEvent>;
+    onKeyDown?: EventHandler<KeyboardEvent>;
+    onKeyUp?: EventHandler<KeyboardEvent>;
+    onKeyPress?: EventHandler<KeyboardEvent>;
+    onFocus?: EventHandler<FocusEvent>;
+    onBlur?: EventHandler<FocusEvent>;
+    onInput?: EventHandler<Event>;
+    onChange?: EventHandler<Event>;
+    onSubmit?: EventHandler<Event>;
+    onReset?: EventHandler<Event>;
+    onScroll?: EventHandler<Event>;
+    onWheel?: EventHandler<WheelEvent>;
+    onDrag?: EventHandler<DragEvent>;
+    onDragStart?: EventHandler<DragEvent>;
+    onDragEnd?: EventHandler<DragEvent>;
+    onDragEnter?: EventHandler<DragEvent>;
+    onDragLeave?: EventHandler<DragEvent>;
+    onDragOver?: EventHandler<DragEvent>;
+    onDrop?: EventHandler<DragEvent>;
+    onTouchStart?: EventHandler<TouchEvent>;
+    onTouchMove?: EventHandler<TouchEvent>;
+    onTouchEnd?: EventHandler<TouchEvent>;
+    onTouchCancel?: EventHandler<TouchEvent>;
+    onLoad?: EventHandler<Event>;
+    onError?: EventHandler<Event>;
+    onAnimationStart?: EventHandler<AnimationEvent>;
+    onAnimationEnd?: EventHandler<AnimationEvent>;
+    onAnimationIteration?: EventHandler<AnimationEvent>;
+    onTransitionEnd?: EventHandler<TransitionEvent>;
 }
 
 export interface AnchorHTMLAttributes extends HTMLAttributes<HTMLAnchorElement> {
@@ -119,8 +143,10 @@ export interface InputHTMLAttributes extends HTMLAttributes<HTMLInputElement> {
     defaultValue?: string | number;
     checked?: boolean;
     defaultChecked?: boolean;
+    indeterminate?: boolean;
     disabled?: boolean;
     readonly?: boolean;
+    readOnly?: boolean;
     required?: boolean;
     placeholder?: string;
     maxLength?: number;
@@ -131,6 +157,7 @@ export interface InputHTMLAttributes extends HTMLAttributes<HTMLInputElement> {
     pattern?: string;
     autocomplete?: string;
     autofocus?: boolean;
+    autoFocus?: boolean;
     multiple?: boolean;
     accept?: string;
     list?: string;
@@ -143,6 +170,7 @@ export interface TextareaHTMLAttributes extends HTMLAttributes<HTMLTextAreaEleme
     defaultValue?: string;
     disabled?: boolean;
     readonly?: boolean;
+    readOnly?: boolean;
     required?: boolean;
     placeholder?: string;
     maxLength?: number;
@@ -152,6 +180,7 @@ export interface TextareaHTMLAttributes extends HTMLAttributes<HTMLTextAreaEleme
     wrap?: 'hard' | 'soft' | 'off';
     autocomplete?: string;
     autofocus?: boolean;
+    autoFocus?: boolean;
     form?: string;
 }
 
@@ -165,6 +194,7 @@ export interface SelectHTMLAttributes extends HTMLAttributes<HTMLSelectElement>
     size?: number;
     autocomplete?: string;
     autofocus?: boolean;
+    autoFocus?: boolean;
     form?: string;
 }
 
@@ -333,7 +363,39 @@ export interface SVGAttributes extends HTMLAttributes<SVGElement> {
     opacity?: number | string;
     fillOpacity?: number | string;
     strokeOpacity?: number | string;
+    strokeDasharray?: number | string;
+    strokeDashoffset?: number | string;
+    strokeMiterlimit?: number | string;
+    fillRule?: 'nonzero' | 'evenodd' | 'inherit';
+    clipRule?: 'nonzero' | 'evenodd' | 'inherit';
+    clipPath?: string;
+    stopColor?: string;
+    stopOpacity?: number | string;
+    textAnchor?: 'start' | 'middle' | 'end';
+    dominantBaseline?: string;
+    fontFamily?: string;
+    fontSize?: number | string;
+    fontWeight?: number | string;
+    markerStart?: string;
+    markerEnd?: string;
     preserveAspectRatio?: string;
+    href?: string;
+    'xlink:href'?: string;
+    xlinkHref?: string;
+    'xml:lang'?: string;
+    xmlLang?: string;
+    'xml:space'?: string;
+    xmlSpace?: string;
+}
+
+export interface MathMLAttributes extends HTMLAttributes<Element> {
+    display?: 'block' | 'inline';
+    mathvariant?: string;
+}
+
+/** Custom elements get the props they define as properties, anything else as attributes. */
+export interface CustomElementAttributes extends HTMLAttributes {
+    [prop: string]: any;
 }
 
 export interface IntrinsicElements {
@@ -469,9 +531,26 @@ export interface IntrinsicElements {
     stop: SVGAttributes;
     symbol: SVGAttributes;
     foreignObject: SVGAttributes;
-}
-
-export type FunctionComponent<P = {}> = (props: P & { children?: VNodeChildren }) => VNode | null;
+    math: MathMLAttributes;
+    mi: MathMLAttributes;
+    mn: MathMLAttributes;
+    mo: MathMLAttributes;
+    ms: MathMLAttributes;
+    mtext: MathMLAttributes;
+    mrow: MathMLAttributes;
+    mfrac: MathMLAttributes;
+    msqrt: MathMLAttributes;
+    mroot: MathMLAttributes;
+    msub: MathMLAttributes;
+    msup: MathMLAttributes;
+    msubsup: MathMLAttributes;
+    mtable: MathMLAttributes;
+    mtr: MathMLAttributes;
+    mtd: MathMLAttributes;
+    [tag: `${string}-${string}`]: CustomElementAttributes;
+}
+
+export type FunctionComponent<P = {}> = (props: P & { children?: VNodeChildren }, children?: VNode[]) => VNodeChildren;
 export type FC<P = {}> = FunctionComponent<P>;
 
 export interface ComponentClass<P = {}, S = {}> {
@@ -479,23 +558,75 @@ export interface ComponentClass<P = {}, S = {}> {
     isPicoClassComponent: true;
 }
 
+export interface ErrorInfo {
+    /** One `in Name` line per component, from the one that threw up to the root. */
+    componentStack: string;
+}
+
 export declare class Component<P = {}, S = {}> {
     static isPicoClassComponent: true;
+    static getDerivedStateFromError?(error: any): object | null;
+    static getDerivedStateFromProps?(props: any, state: any): object | null;
+    static contextType?: Context<any>;
 
     props: P & { children?: VNodeChildren };
     state: S;
+    /** Value of the nearest Provider of `static contextType`. */
+    context: any;
 
     constructor(props: P);
 
-    setState(updater: Partial<S> | ((prevState: S, props: P) => Partial<S>)): void;
+    setState(updater: Partial<S> | ((prevState: S, props: P) => Partial<S>), callback?: () => void): Promise<void>;
+    forceUpdate(callback?: () => void): Promise<void>;
     update(): void;
-    render(): VNode | null;
+    render(): VNodeChildren;
 
     componentDidMount?(): void;
     componentWillUnmount?(): void;
-    componentDidUpdate?(prevProps: P, prevState: S): void;
+    getSnapshotBeforeUpdate?(prevProps: P, prevState: S): any;
+    componentDidUpdate?(prevProps: P, prevState: S, snapshot?: any): void;
+    shouldComponentUpdate?(nextProps: P, nextState: S): boolean;
+    componentDidCatch?(error: any, info: ErrorInfo): void;
+}
+
+export declare class PureComponent<P = {}, S = {}> extends Component<P, S> {}
+
+export type MemoComponent<P = {}> = FunctionComponent<P> & {
+    compare: (prevProps: P, nextProps: P) => boolean;
+    displayName: string;
+};
+
+export declare function memo<P>(
+    component: FunctionComponent<P>,
+    areEqual?: (prevProps: P, nextProps: P) => boolean
+): MemoComponent<P>;
+
+export type ForwardRefRenderFunction<T, P = {}> = (
+    props: P & { children?: VNodeChildren },
+    ref: Ref<T> | null
+) => VNodeChildren;
+
+export type ForwardRefComponent<T, P = {}> = FunctionComponent<P & { ref?: Ref<T> | null }> & {
+    forwardsRef: true;
+    displayName: string;
+};
+
+export declare function forwardRef<T, P = {}>(render: ForwardRefRenderFunction<T, P>): ForwardRefComponent<T, P>;
+
+export interface Context<T> {
+    Provider: ComponentClass<{ value: T; children?: VNodeChildren }>;
+    Consumer: ComponentClass<{ children: (value: T) => VNodeChildren }>;
+    defaultValue: T;
 }
 
+export declare function createContext<T>(defaultValue: T): Context<T>;
+
+export declare function createPortal(
+    vnode: VNodeChildren,
+    container: Element,
+    key?: string | number | null
+): VNode;
+
 interface FragmentComponent {
     (props: { children?: VNodeChildren }): VNode;
 }
@@ -511,11 +642,11 @@ export declare function h<P>(
     type: FunctionComponent<P>,
     props: P | null,
     ...children: VNodeChildren[]
-): VNode | null;
+): VNode<P>;
 
 export declare function h<P, S>(
     type: ComponentClass<P, S>,
-    props: P | null,
+    props: (P & { ref?: Ref<Component<P, S>> | null }) | null,
     ...children: VNodeChildren[]
 ): VNode<P>;
 
@@ -525,11 +656,60 @@ export declare function h(
     ...children: VNodeChildren[]
 ): VNode;
 
+export interface RootOptions {
+    /** One listener per event type on the container instead of one per element. */
+    delegateEvents?: boolean;
+}
+
 export declare function render(
-    vnode: VNode | ComponentClass | string | number,
-    container: Element
+    vnode: VNodeChildren | ComponentClass,
+    container: Element | ShadowRoot,
+    options?: RootOptions
+): void;
+
+export declare function flushSync<T>(callback?: () => T): T;
+
+export type Dispatch<A> = (action: A) => void;
+export type SetStateAction<S> = S | ((prevState: S) => S);
+export type EffectCallback = () => void | (() => void);
+export type DependencyList = readonly unknown[];
+
+export declare function useState<S>(initialState: S | (() => S)): [S, Dispatch<SetStateAction<S>>];
+export declare function useState<S = undefined>(): [S | undefined, Dispatch<SetStateAction<S | undefined>>];
+export declare function useReducer<S, A>(reducer: (state: S, action: A) => S, initialState: S): [S, Dispatch<A>];
+export declare function useReducer<S, A, I>(reducer: (state: S, action: A) => S, initialArg: I, init: (arg: I) => S): [S, Dispatch<A>];
+export declare function useEffect(effect: EffectCallback, deps?: DependencyList): void;
+export declare function useLayoutEffect(effect: EffectCallback, deps?: DependencyList): void;
+export declare function useRef<T>(initialValue: T): RefObject<T>;
+export declare function useRef<T = undefined>(): RefObject<T | undefined>;
+export declare function useMemo<T>(factory: () => T, deps: DependencyList): T;
+export declare function useCallback<T extends (...args: any[]) => any>(callback: T, deps: DependencyList): T;
+export declare function useContext<T>(context: Context<T>): T;
+
+export declare function hydrate(
+    vnode: VNodeChildren | ComponentClass,
+    container: Element,
+    options?: RootOptions
 ): void;
 
+export declare function unmount(container: Element | ShadowRoot): boolean;
+
+export interface DefineElementOptions {
+    /** Attributes passed to the component as camelCased props, re-rendering it when they change. */
+    observedAttributes?: string[];
+    /** Render into an open shadow root, with a `<slot>` as `props.children`. */
+    shadow?: boolean;
+}
+
+export declare function defineElement(
+    tagName: `${string}-${string}`,
+    component: ComponentClass<any> | FunctionComponent<any>,
+    options?: DefineElementOptions
+): CustomElementConstructor;
+
+export declare function renderToString(vnode: VNodeChildren | ComponentClass): string;
+export declare function renderToStaticMarkup(vnode: VNodeChildren | ComponentClass): string;
+
 export interface StoreOptions {
     storageKey?: string;
 }
@@ -568,15 +748,36 @@ declare const PicoJSX: {
     h: typeof h;
     Fragment: typeof Fragment;
     render: typeof render;
+    hydrate: typeof hydrate;
+    unmount: typeof unmount;
+    defineElement: typeof defineElement;
+    renderToString: typeof renderToString;
+    renderToStaticMarkup: typeof renderToStaticMarkup;
     Component: typeof Component;
+    PureComponent: typeof PureComponent;
+    memo: typeof memo;
+    forwardRef: typeof forwardRef;
+    flushSync: typeof flushSync;
+    createContext: typeof createContext;
+    createPortal: typeof createPortal;
     createStore: typeof createStore;
     Router: typeof Router;
+    useState: typeof useState;
+    useReducer: typeof useReducer;
+    useEffect: typeof useEffect;
+    useLayoutEffect: typeof useLayoutEffect;
+    useRef: typeof useRef;
+    useMemo: typeof useMemo;
+    useCallback: typeof useCallback;
+    useContext: typeof useContext;
 };
 
 export default PicoJSX;
 
 export namespace JSX {
     type Element = VNode;
+    // Components may render strings, numbers, arrays or nothing, not only elements (TypeScript 5.1+)
+    type ElementType = string | ComponentClass<any, any> | ((props: any, children?: VNode[]) => VNodeChildren);
     interface ElementChildrenAttribute {
         children: {};
     }
@@ -713,5 +914,22 @@ export namespace JSX {
         stop: SVGAttributes;
         symbol: SVGAttributes;
         foreignObject: SVGAttributes;
+        math: MathMLAttributes;
+        mi: MathMLAttributes;
+        mn: MathMLAttributes;
+        mo: MathMLAttributes;
+        ms: MathMLAttributes;
+        mtext: MathMLAttributes;
+        mrow: MathMLAttributes;
+        mfrac: MathMLAttributes;
+        msqrt: MathMLAttributes;
+        mroot: MathMLAttributes;
+        msub: MathMLAttributes;
+        msup: MathMLAttributes;
+        msubsup: MathMLAttributes;
+        mtable: MathMLAttributes;
+        mtr: MathMLAttributes;
+        mtd: MathMLAttributes;
+        [tag: `${string}-${string}`]: CustomElementAttributes;
     }
 }
@@ -38,34 +38,703 @@ const PicoJSX = (() => {
 			if (typeof child === 'object' && child.type !== undefined) {
 				return child; // Already a VNode
 			}
+			if (typeof child === 'function') {
+				return child; // Render prop, e.g. the child of a context Consumer
+			}
 			// Convert primitives to text VNodes
-			return { type: '#text', props: null, children: [], text: String(child) };
+			return createTextVNode(String(child));
 		});
 
 		// Extract key from props if present
-		const key = props?.key || null;
+		const key = props?.key ?? null;
 		const restProps = props ? { ...props } : {};
 		if (restProps.key !== undefined) delete restProps.key;
 
+		// A component's ref points at its instance and is not one of its props (element refs stay in props)
+		let ref = null;
+		if (typeof type === 'function' && restProps.ref !== undefined) {
+			ref = restProps.ref;
+			delete restProps.ref;
+		}
+
 		// For components, add children to props (React compatibility)
 		if (typeof type === 'function' && normalizedChildren.length > 0) {
 			// If there's only one child, pass it directly; otherwise pass array
 			restProps.children = normalizedChildren.length === 1 ? normalizedChildren[0] : normalizedChildren;
 		}
 
-		// Handle functional components immediately
-		if (typeof type === 'function' && !type.isPicoClassComponent) {
-			// Call functional component and return its result
-			return type(restProps, normalizedChildren);
-		}
-
-		// Return VNode structure
+		// Return VNode structure (functional components are invoked lazily at render time)
 		return {
 			type,
 			props: restProps,
 			children: normalizedChildren,
-			key
+			key,
+			ref
+		};
+	}
+
+	/**
+	 * Creates a text VNode.
+	 * @param {string} text - Text content.
+	 * @returns {object} Text VNode.
+	 */
+	function createTextVNode(text) {
+		return { type: '#text', props: null, children: [], text };
+	}
+
+	/**
+	 * Marks a VNode as placed in the tree being rendered. A VNode placed before (a hoisted
+	 * constant, or `props.children` rendered twice) is copied instead, since each VNode
+	 * records the DOM nodes it rendered.
+	 * @param {*} vnode - VNode about to be mounted or diffed.
+	 * @returns {*} The VNode, or a fresh copy of it.
+	 */
+	function claimVNode(vnode) {
+		if (!vnode || typeof vnode !== 'object') return vnode;
+		if (vnode._used) {
+			vnode = { ...vnode, children: vnode.children.slice() };
+			delete vnode._dom;
+			delete vnode._startMarker;
+			delete vnode._endMarker;
+			delete vnode._instance;
+			delete vnode._mounted;
+		}
+		vnode._used = true;
+		return vnode;
+	}
+
+	/**
+	 * Claims the children of a VNode about to be mounted or diffed, see `claimVNode()`.
+	 * @param {Array} children - Child VNodes, updated in place.
+	 * @returns {Array} The same array.
+	 */
+	function claimChildren(children) {
+		for (let i = 0; i < children.length; i++) {
+			children[i] = claimVNode(children[i]);
+		}
+		return children;
+	}
+
+	/**
+	 * Turns anything a component can render into a single VNode: `null`, `undefined` and booleans
+	 * become an empty text node that keeps the component's place, strings and numbers become text,
+	 * and arrays become a Fragment.
+	 * @param {*} value - Render result.
+	 * @returns {object} VNode.
+	 */
+	function normalizeVNode(value) {
+		if (value === null || value === undefined || typeof value === 'boolean') {
+			return createTextVNode('');
+		}
+		if (Array.isArray(value)) {
+			return h(Fragment, null, value);
+		}
+		if (typeof value === 'string' || typeof value === 'number') {
+			return createTextVNode(String(value));
+		}
+		return claimVNode(value);
+	}
+
+	/**
+	 * Symbol identifying portal VNodes created by `createPortal()`.
+	 * @type {symbol}
+	 */
+	const Portal = Symbol('PicoPortal');
+
+	/**
+	 * Renders a VNode into another DOM container while keeping it part of the current tree:
+	 * it is diffed with its owner, sees the owner's context and is unmounted with it.
+	 * @param {*} vnode - What to render (VNode, array, string or number).
+	 * @param {Element} container - DOM element to render into.
+	 * @param {string|number} [key] - Optional key for keyed lists.
+	 * @returns {object} Portal VNode.
+	 */
+	function createPortal(vnode, container, key = null) {
+		const children = h(Fragment, null, vnode).children;
+		const child = children.length === 1 ? children[0] : h(Fragment, null, ...children);
+		return { type: Portal, props: { container }, children: [child], key };
+	}
+
+	const SVG_NS = 'http://www.w3.org/2000/svg';
+	const MATH_NS = 'http://www.w3.org/1998/Math/MathML';
+	const XLINK_NS = 'http://www.w3.org/1999/xlink';
+	const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+	/**
+	 * camelCase prop names mapped to the attribute they stand for (React-style HTML names and hyphenated SVG attributes).
+	 * @type {Object<string, string>}
+	 */
+	const ATTRIBUTE_ALIASES = {
+		htmlFor: 'for',
+		tabIndex: 'tabindex',
+		readOnly: 'readonly',
+		autoFocus: 'autofocus',
+		xlinkHref: 'xlink:href',
+		xmlLang: 'xml:lang',
+		xmlSpace: 'xml:space',
+		clipPath: 'clip-path',
+		clipRule: 'clip-rule',
+		dominantBaseline: 'dominant-baseline',
+		fillOpacity: 'fill-opacity',
+		fillRule: 'fill-rule',
+		fontFamily: 'font-family',
+		fontSize: 'font-size',
+		fontWeight: 'font-weight',
+		markerEnd: 'marker-end',
+		markerStart: 'marker-start',
+		stopColor: 'stop-color',
+		stopOpacity: 'stop-opacity',
+		strokeDasharray: 'stroke-dasharray',
+		strokeDashoffset: 'stroke-dashoffset',
+		strokeLinecap: 'stroke-linecap',
+		strokeLinejoin: 'stroke-linejoin',
+		strokeMiterlimit: 'stroke-miterlimit',
+		strokeOpacity: 'stroke-opacity',
+		strokeWidth: 'stroke-width',
+		textAnchor: 'text-anchor',
+	};
+
+	/**
+	 * Resolves the attribute name for a prop.
+	 * @param {string} name - Prop name.
+	 * @returns {string} Attribute name.
+	 */
+	function getAttributeName(name) {
+		return ATTRIBUTE_ALIASES[name] || name;
+	}
+
+	/**
+	 * Returns the namespace URI for prefixed attributes such as `xlink:href` or `xml:lang`.
+	 * @param {string} attribute - Attribute name.
+	 * @returns {string|null} Namespace URI, or null for regular attributes.
+	 */
+	function getAttributeNamespace(attribute) {
+		if (attribute.startsWith('xlink:')) return XLINK_NS;
+		if (attribute.startsWith('xml:')) return XML_NS;
+		return null;
+	}
+
+	/**
+	 * Sets an attribute, using the right namespace for prefixed attributes.
+	 * @param {Element} element - Target element.
+	 * @param {string} name - Prop name.
+	 * @param {string} value - Attribute value.
+	 */
+	function setDOMAttribute(element, name, value) {
+		const attribute = getAttributeName(name);
+		const namespace = getAttributeNamespace(attribute);
+		if (namespace) {
+			element.setAttributeNS(namespace, attribute, value);
+		} else {
+			element.setAttribute(attribute, value);
+		}
+	}
+
+	/**
+	 * Removes an attribute, using the right namespace for prefixed attributes.
+	 * @param {Element} element - Target element.
+	 * @param {string} name - Prop name.
+	 */
+	function removeDOMAttribute(element, name) {
+		const attribute = getAttributeName(name);
+		const namespace = getAttributeNamespace(attribute);
+		if (namespace) {
+			element.removeAttributeNS(namespace, attribute.split(':')[1]);
+		} else {
+			element.removeAttribute(attribute);
+		}
+	}
+
+	/**
+	 * Checks whether a prop sets the element's class.
+	 * @param {string} name - Prop name.
+	 * @returns {boolean} True for `className` and `class`.
+	 */
+	function isClassProp(name) {
+		return name === 'className' || name === 'class';
+	}
+
+	/**
+	 * Normalizes a class prop to a class string. Arrays are flattened and objects contribute
+	 * the keys whose value is truthy, so `['btn', { active: isActive }]` becomes `'btn active'`.
+	 * @param {string|Array|object|null} value - Class prop.
+	 * @returns {string} Class string.
+	 */
+	function toClassName(value) {
+		if (!value) return '';
+		if (typeof value !== 'object') return String(value);
+		if (Array.isArray(value)) return value.map(toClassName).filter(Boolean).join(' ');
+		return Object.keys(value).filter(name => value[name]).join(' ');
+	}
+
+	/**
+	 * Sets the class of an element. SVG and MathML elements don't have a writable `className`.
+	 * @param {Element} element - Target element.
+	 * @param {string|Array|object|null} value - Class prop.
+	 */
+	function setClassName(element, value) {
+		const className = toClassName(value);
+		if (element.namespaceURI === SVG_NS || element.namespaceURI === MATH_NS) {
+			element.setAttribute('class', className);
+		} else if (element.className !== className) {
+			element.className = className;
+		}
+	}
+
+	/**
+	 * CSS properties whose numeric values are not lengths, so no `px` is appended to them.
+	 */
+	const UNITLESS_STYLES = new Set([
+		'animationIterationCount', 'aspectRatio', 'borderImageOutset', 'borderImageSlice', 'borderImageWidth',
+		'columnCount', 'columns', 'flex', 'flexGrow', 'flexShrink', 'fontWeight', 'gridArea', 'gridColumn',
+		'gridColumnEnd', 'gridColumnStart', 'gridRow', 'gridRowEnd', 'gridRowStart', 'lineClamp', 'lineHeight',
+		'opacity', 'order', 'orphans', 'scale', 'tabSize', 'widows', 'zIndex', 'zoom', 'fillOpacity',
+		'floodOpacity', 'stopOpacity', 'strokeDasharray', 'strokeDashoffset', 'strokeMiterlimit',
+		'strokeOpacity', 'strokeWidth',
+	]);
+
+	const IMPORTANT = /\s*!important\s*$/i;
+
+	/**
+	 * Converts a style object key to its CSS property name (`backgroundColor` → `background-color`).
+	 * Custom properties are kept as they are.
+	 * @param {string} name - Style key.
+	 * @returns {string} CSS property name.
+	 */
+	function toCSSProperty(name) {
+		if (name.startsWith('--')) return name;
+		if (name === 'cssFloat') return 'float';
+		return name.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`).replace(/^ms-/, '-ms-');
+	}
+
+	/**
+	 * Converts a style object value to CSS text, appending `px` to non-zero numbers of length properties.
+	 * @param {string} name - Style key.
+	 * @param {*} value - Style value.
+	 * @returns {string} CSS value, empty when the property should be removed.
+	 */
+	function toCSSValue(name, value) {
+		if (value === null || value === undefined || typeof value === 'boolean') return '';
+		if (typeof value === 'number' && value !== 0 && !name.startsWith('--') && !UNITLESS_STYLES.has(name)) {
+			return `${value}px`;
+		}
+		return String(value);
+	}
+
+	/**
+	 * Sets or removes a single inline style. Custom properties and `!important` values go through
+	 * `style.setProperty()`, which plain property assignment doesn't support.
+	 * @param {CSSStyleDeclaration} style - Element style.
+	 * @param {string} name - Style key.
+	 * @param {*} value - Style value; null, undefined, false or '' remove the property.
+	 */
+	function setStyle(style, name, value) {
+		const cssValue = toCSSValue(name, value);
+		if (name.startsWith('--') || IMPORTANT.test(cssValue)) {
+			const property = toCSSProperty(name);
+			if (cssValue === '') {
+				style.removeProperty(property);
+			} else {
+				style.setProperty(property, cssValue.replace(IMPORTANT, ''), IMPORTANT.test(cssValue) ? 'important' : '');
+			}
+		} else {
+			style[name] = cssValue;
+		}
+	}
+
+	/**
+	 * Patches the inline style of an element. Strings replace `cssText`; objects are diffed key by key,
+	 * so styles set outside of PicoJSX (by animations, drag handlers, ...) are left alone.
+	 * @param {HTMLElement} element - Target element.
+	 * @param {string|object|null} oldStyle - Previous style prop.
+	 * @param {string|object|null} newStyle - New style prop.
+	 */
+	function updateStyle(element, oldStyle, newStyle) {
+		if (typeof newStyle === 'string') {
+			element.style.cssText = newStyle;
+			return;
+		}
+		if (typeof oldStyle === 'string') {
+			element.style.cssText = '';
+			oldStyle = null;
+		}
+		oldStyle = oldStyle && typeof oldStyle === 'object' ? oldStyle : {};
+		newStyle = newStyle && typeof newStyle === 'object' ? newStyle : {};
+		for (const name in oldStyle) {
+			if (!(name in newStyle)) setStyle(element.style, name, null);
+		}
+		for (const name in newStyle) {
+			if (newStyle[name] !== oldStyle[name]) setStyle(element.style, name, newStyle[name]);
+		}
+	}
+
+	/**
+	 * Returns the namespace new children of a DOM node should be created in.
+	 * @param {Node} parentDOM - Parent DOM node.
+	 * @returns {string|null} Namespace URI, or null for HTML.
+	 */
+	function getChildNamespace(parentDOM) {
+		const namespace = parentDOM?.namespaceURI;
+		if (namespace === SVG_NS) {
+			return parentDOM.localName === 'foreignObject' ? null : SVG_NS;
+		}
+		return namespace === MATH_NS ? MATH_NS : null;
+	}
+
+	/**
+	 * Props that reflect live form-control state, so they are set as DOM properties.
+	 * Attributes only hold the initial value once the user interacts with the control.
+	 * @type {Set<string>}
+	 */
+	const DOM_PROPERTIES = new Set(['value', 'checked', 'selected', 'indeterminate', 'muted', 'defaultValue', 'defaultChecked']);
+
+	/**
+	 * Selects the options of a `<select>` matching a value (or array of values for `multiple`).
+	 * @param {HTMLSelectElement} select - The select element.
+	 * @param {string|number|Array} value - Value(s) to select.
+	 */
+	function setSelectValue(select, value) {
+		const values = (Array.isArray(value) ? value : [value]).map(String);
+		Array.from(select.options).forEach(option => {
+			option.selected = values.includes(option.value);
+		});
+	}
+
+	/**
+	 * Re-applies a `<select>`'s `value` prop, which needs its options to be in place first.
+	 * @param {Element} element - The element.
+	 * @param {object} props - Element props.
+	 */
+	function syncSelectValue(element, props) {
+		if (element.localName === 'select' && props?.value !== undefined && props.value !== null) {
+			setSelectValue(element, props.value);
+		}
+	}
+
+	/**
+	 * Sets a form-control prop as a DOM property, comparing against the live DOM value.
+	 * @param {Element} element - The element.
+	 * @param {string} name - Prop name from `DOM_PROPERTIES`.
+	 * @param {*} value - Prop value.
+	 */
+	function setDOMProperty(element, name, value) {
+		if (name === 'value' && element.localName === 'select') {
+			if (value !== undefined && value !== null) setSelectValue(element, value);
+		} else if (name === 'value' || name === 'defaultValue') {
+			const stringValue = value === undefined || value === null ? '' : String(value);
+			if (element[name] !== stringValue) element[name] = stringValue;
+		} else if (element[name] !== !!value) {
+			element[name] = !!value;
+		}
+
+		if ((name === 'value' || name === 'checked') && !element._picoControlled && isFormControl(element)) {
+			element._picoControlled = true;
+			element.addEventListener('input', restoreControlledState);
+			element.addEventListener('change', restoreControlledState);
+		}
+	}
+
+	/**
+	 * Checks whether an element is a form control that can be controlled through its props.
+	 * @param {Element} element - The element.
+	 * @returns {boolean} True for inputs, textareas and selects.
+	 */
+	function isFormControl(element) {
+		return /^(input|textarea|select)$/.test(element.localName);
+	}
+
+	/**
+	 * Resets a controlled form control to its current `value`/`checked` prop.
+	 * @param {Element} element - The form control.
+	 */
+	function restoreControlledProps(element) {
+		const props = element._vnode?.props;
+		if (!props) return;
+		if (props.value !== undefined && props.value !== null) setDOMProperty(element, 'value', props.value);
+		if (props.checked !== undefined && props.checked !== null) setDOMProperty(element, 'checked', props.checked);
+	}
+
+	/**
+	 * Keeps controlled inputs without their own handler for the event in sync with their props.
+	 * Controls with a handler are re-synced by it once it ran, see `controlledHandler()`.
+	 * @param {Event} event - The input or change event.
+	 */
+	function restoreControlledState(event) {
+		const element = event.currentTarget;
+		const props = element._vnode?.props || {};
+		const handled = Object.keys(props).some(name => isEventProp(name, props[name]) && getListener(element, name, props).type === event.type);
+		if (!handled) restoreControlledProps(element);
+	}
+
+	/**
+	 * Wrappers of form-control handlers, one per handler so listeners can still be compared and removed.
+	 * @type {WeakMap<Function, Function>}
+	 */
+	const controlledHandlers = new WeakMap();
+
+	/**
+	 * Wraps an `input`/`change` handler of a form control so the control is reset to its props right
+	 * after the handler ran and the updates it queued rendered. This can't wait for a microtask:
+	 * browsers run microtasks between the listeners of an event the user triggered.
+	 * @param {Function} handler - Handler from the props.
+	 * @returns {Function} Wrapped handler.
+	 */
+	function controlledHandler(handler) {
+		let wrapped = controlledHandlers.get(handler);
+		if (!wrapped) {
+			wrapped = function (event) {
+				const element = event.currentTarget;
+				try {
+					return handler.call(this, event);
+				} finally {
+					flushRenderQueue();
+					restoreControlledProps(element);
+				}
+			};
+			controlledHandlers.set(handler, wrapped);
+		}
+		return wrapped;
+	}
+
+	/**
+	 * Prop name suffixes that set listener options, e.g. `onClickCapture` or `onWheelPassive`.
+	 * @type {string[]}
+	 */
+	const LISTENER_SUFFIXES = ['Capture', 'Passive', 'Once'];
+
+	/**
+	 * Checks whether a prop is an event listener: an `on*` prop with a function
+	 * or a `{ handler, capture, passive, once }` object.
+	 * @param {string} name - Prop name.
+	 * @param {*} value - Prop value.
+	 * @returns {boolean} True for event listener props.
+	 */
+	function isEventProp(name, value) {
+		return name.startsWith('on') && (typeof value === 'function' || typeof value?.handler === 'function');
+	}
+
+	/**
+	 * Resolves the DOM event name, handler and listener options for an `on*` prop.
+	 * Like React, `onChange` on text fields fires on every keystroke (the `input` event).
+	 * `on:name` props listen for the event name exactly as written, for custom events.
+	 * @param {Element} element - The element.
+	 * @param {string} name - Prop name, e.g. `onClick`, `onTouchMovePassive` or `on:value-changed`.
+	 * @param {object} props - Element props.
+	 * @returns {{type: string, handler: Function, options: {capture: boolean, passive: boolean, once: boolean}, delegate: boolean}} The listener.
+	 */
+	function getListener(element, name, props) {
+		const value = props[name];
+		const config = typeof value === 'function' ? { handler: value } : value;
+		const options = { capture: !!config.capture, passive: !!config.passive, once: !!config.once };
+
+		// Custom events may not bubble, and listeners with options need their own phase or mode,
+		// so neither can be handled by a delegating root
+		if (name.startsWith('on:')) {
+			return { type: name.substring(3), handler: getHandler(element, name.substring(3), config.handler), options, delegate: false };
+		}
+
+		// gotpointercapture and lostpointercapture end in "Capture" themselves
+		let eventName = name.substring(2);
+		let suffix;
+		while ((suffix = LISTENER_SUFFIXES.find(s => eventName.endsWith(s) && eventName.length > s.length))
+			&& !/(Got|Lost)PointerCapture$/.test(eventName)) {
+			options[suffix.toLowerCase()] = true;
+			eventName = eventName.slice(0, -suffix.length);
+		}
+
+		let type = eventName.toLowerCase();
+		if (type === 'change') {
+			const isTextInput = element.localName === 'textarea'
+				|| (element.localName === 'input' && !/^(checkbox|radio|file)$/.test(props?.type || ''));
+			if (isTextInput) type = 'input';
+		}
+		const delegate = !options.capture && !options.passive && !options.once;
+		return { type, handler: getHandler(element, type, config.handler), options, delegate };
+	}
+
+	/**
+	 * Returns the function to register for a handler, wrapping `input`/`change` handlers of form controls.
+	 * @param {Element} element - The element.
+	 * @param {string} type - DOM event name.
+	 * @param {Function} handler - Handler from the props.
+	 * @returns {Function} Handler to register.
+	 */
+	function getHandler(element, type, handler) {
+		return (type === 'input' || type === 'change') && isFormControl(element) ? controlledHandler(handler) : handler;
+	}
+
+	/**
+	 * Checks whether two listeners are the same handler for the same event with the same options.
+	 * @param {object|null} a - Listener from `getListener()`.
+	 * @param {object|null} b - Listener from `getListener()`.
+	 * @returns {boolean} True when nothing needs to be re-added.
+	 */
+	function isSameListener(a, b) {
+		return !!a && !!b && a.type === b.type && a.handler === b.handler
+			&& a.options.capture === b.options.capture
+			&& a.options.passive === b.options.passive
+			&& a.options.once === b.options.once;
+	}
+
+	/**
+	 * Root container handling the events of the elements being rendered, or null when
+	 * listeners go on the elements themselves. Set for the duration of a commit.
+	 * @type {Element|null}
+	 */
+	let eventRoot = null;
+
+	/**
+	 * Finds the root container an element's events are delegated to.
+	 * Each container passed to `render()` or `hydrate()` records whether it delegates events
+	 * (`_picoEvents` holds the event types it listens for, or null).
+	 * @param {Node|null|undefined} node - A node inside the root, or the root itself.
+	 * @returns {Element|null} The delegating root, or null.
+	 */
+	function findEventRoot(node) {
+		while (node && node._picoEvents === undefined) node = node.parentNode;
+		return node?._picoEvents ? node : null;
+	}
+
+	/**
+	 * Runs a function with the given root handling events of the elements it renders.
+	 * @param {Element|null} root - Delegating root, or null for listeners on the elements.
+	 * @param {Function} fn - Function creating or patching DOM.
+	 * @returns {*} The return value of `fn`.
+	 */
+	function withEventRoot(root, fn) {
+		const prevRoot = eventRoot;
+		eventRoot = root;
+		try {
+			return fn();
+		} finally {
+			eventRoot = prevRoot;
+		}
+	}
+
+	/**
+	 * Adds an event listener, or registers the handler with the delegating root when there is one.
+	 * An element keeps a list of delegated handlers per event type, since several props can
+	 * listen to the same type (`onInput` and `onChange` on a text input).
+	 * @param {Element} element - The element.
+	 * @param {{type: string, handler: Function, options: object, delegate: boolean}} listener - Listener from `getListener()`.
+	 */
+	function addListener(element, { type, handler, options, delegate }) {
+		if (!eventRoot || !delegate) {
+			element.addEventListener(type, handler, options);
+			return;
+		}
+
+		if (!element._picoHandlers) element._picoHandlers = {};
+		if (!element._picoHandlers[type]) element._picoHandlers[type] = [];
+		element._picoHandlers[type].push(handler);
+
+		const listening = eventRoot._picoEvents;
+		if (!listening.has(type)) {
+			listening.add(type);
+			// Whether an event bubbles is only known once it fires, so listen in both phases
+			eventRoot.addEventListener(type, dispatchDelegatedEvent);
+			eventRoot.addEventListener(type, dispatchDelegatedEvent, true);
+		}
+	}
+
+	/**
+	 * Removes an event handler added with `addListener()`.
+	 * @param {Element} element - The element.
+	 * @param {{type: string, handler: Function, options: object, delegate: boolean}} listener - Listener from `getListener()`.
+	 */
+	function removeListener(element, { type, handler, options, delegate }) {
+		const handlers = delegate ? element._picoHandlers?.[type] : undefined;
+		const index = handlers ? handlers.indexOf(handler) : -1;
+		if (index !== -1) {
+			handlers.splice(index, 1);
+			if (handlers.length === 0) delete element._picoHandlers[type];
+		} else {
+			element.removeEventListener(type, handler, options.capture);
+		}
+	}
+
+	/**
+	 * Listener on a delegating root: calls the handlers registered for the event type on the
+	 * target and its ancestors up to the root, with `currentTarget` pointing at each element.
+	 * `stopPropagation()` stops the walk as well as the native event, `stopImmediatePropagation()`
+	 * also skips the remaining handlers of the current element.
+	 * Bubbling events are handled on their way up. Events that don't bubble never get back up
+	 * to the root, so they are handled on their way down and only the target's handler runs,
+	 * the same as with a listener on the element.
+	 * @param {Event} event - The native event.
+	 */
+	function dispatchDelegatedEvent(event) {
+		if (event.bubbles === (event.eventPhase === Event.CAPTURING_PHASE)) return;
+
+		const root = event.currentTarget;
+		const lastRoot = event._picoRoot;
+		event._picoRoot = root;
+
+		// A root nested inside another one (such as a portal container) handled its part already
+		if (lastRoot && !event.bubbles) return;
+		let node = lastRoot ? lastRoot.parentNode : event.target;
+
+		let stopped = false;
+		let stoppedImmediately = false;
+		const { stopPropagation, stopImmediatePropagation } = event;
+		event.stopPropagation = () => {
+			stopped = true;
+			stopPropagation.call(event);
 		};
+		event.stopImmediatePropagation = () => {
+			stopped = true;
+			stoppedImmediately = true;
+			stopImmediatePropagation.call(event);
+		};
+
+		try {
+			while (node && node !== root && !stopped) {
+				const handlers = node._picoHandlers?.[event.type];
+				if (handlers) {
+					Object.defineProperty(event, 'currentTarget', { value: node, configurable: true });
+					// A copy, as a handler can re-render and change the list
+					for (const handler of handlers.slice()) {
+						if (stoppedImmediately) break;
+						handler.call(node, event);
+					}
+				}
+				if (!event.bubbles) break;
+				node = node.parentNode;
+			}
+		} finally {
+			// Back to the native properties
+			delete event.currentTarget;
+			delete event.stopPropagation;
+			delete event.stopImmediatePropagation;
+		}
+	}
+
+	/**
+	 * Returns the event root for the content of a portal. Portals rendered from a delegating root
+	 * delegate to their own container, since their events never reach the root.
+	 * @param {Element} container - The portal's container.
+	 * @returns {Element|null} The delegating root, or null.
+	 */
+	function getPortalEventRoot(container) {
+		if (!eventRoot) return null;
+		if (container._picoEvents === undefined) container._picoEvents = new Set();
+		return container._picoEvents ? container : null;
+	}
+
+	/**
+	 * Checks whether a prop is set as a property of a custom element: the tag contains a hyphen
+	 * and the element defines the property. Properties every HTML element has keep their
+	 * usual handling, and elements that are not defined yet get attributes.
+	 * @param {Element} element - The element.
+	 * @param {string} name - Prop name.
+	 * @returns {boolean} True when the prop is passed as a property.
+	 */
+	function isCustomElementProperty(element, name) {
+		return element.localName.includes('-')
+			&& name in element
+			&& !(name in HTMLElement.prototype)
+			&& name !== 'ref'
+			&& name !== 'dangerouslySetInnerHTML';
 	}
 
 	/**
@@ -81,33 +750,29 @@ const PicoJSX = (() => {
 
 			if (name === 'children' || name === 'key') continue;
 
-			if (name === 'className') {
-				element.className = value || '';
-			} else if (name.startsWith('on') && typeof value === 'function') {
-				const eventName = name.substring(2).toLowerCase();
-				element.addEventListener(eventName, value);
+			if (isClassProp(name)) {
+				setClassName(element, value);
+			} else if (isEventProp(name, value)) {
+				addListener(element, getListener(element, name, props));
+			} else if (isCustomElementProperty(element, name)) {
+				// Objects and arrays reach custom elements as they are
+				element[name] = value;
+			} else if (DOM_PROPERTIES.has(name)) {
+				setDOMProperty(element, name, value);
 			} else if (name === 'dangerouslySetInnerHTML') {
 				if (value?.__html !== undefined) {
 					element.innerHTML = value.__html;
 				}
 			} else if (name === 'style') {
-				if (typeof value === 'string') {
-					element.style.cssText = value;
-				} else if (typeof value === 'object') {
-					Object.assign(element.style, value);
-				}
+				updateStyle(element, null, value);
 			} else if (name === 'ref') {
-				if (typeof value === 'function') {
-					value(element);
-				} else if (value && typeof value === 'object') {
-					value.current = element;
-				}
+				setRef(value, element);
 			} else if (value === false || value === null || value === undefined) {
-				element.removeAttribute(name);
+				removeDOMAttribute(element, name);
 			} else if (value === true) {
-				element.setAttribute(name, '');
+				setDOMAttribute(element, name, '');
 			} else {
-				element.setAttribute(name, String(value));
+				setDOMAttribute(element, name, String(value));
 			}
 		}
 	}
@@ -125,19 +790,20 @@ const PicoJSX = (() => {
 		// Remove old props not in new props
 		for (let name in oldProps) {
 			if (!(name in newProps)) {
-				if (name === 'className') {
-					element.className = '';
-				} else if (name.startsWith('on') && typeof oldProps[name] === 'function') {
-					const eventName = name.substring(2).toLowerCase();
-					element.removeEventListener(eventName, oldProps[name]);
+				if (isClassProp(name)) {
+					setClassName(element, '');
+				} else if (isEventProp(name, oldProps[name])) {
+					removeListener(element, getListener(element, name, oldProps));
+				} else if (isCustomElementProperty(element, name)) {
+					element[name] = undefined;
+				} else if (DOM_PROPERTIES.has(name)) {
+					setDOMProperty(element, name, undefined);
+				} else if (name === 'style') {
+					updateStyle(element, oldProps[name], null);
 				} else if (name === 'ref') {
-					if (typeof oldProps[name] === 'function') {
-						oldProps[name](null);
-					} else if (oldProps[name]?.current !== undefined) {
-						oldProps[name].current = null;
-					}
+					clearRef(oldProps[name], element);
 				} else if (name !== 'children' && name !== 'key' && name !== 'dangerouslySetInnerHTML') {
-					element.removeAttribute(name);
+					removeDOMAttribute(element, name);
 				}
 			}
 		}
@@ -149,50 +815,47 @@ const PicoJSX = (() => {
 			const oldValue = oldProps[name];
 			const newValue = newProps[name];
 
+			if (isCustomElementProperty(element, name)) {
+				if (oldValue !== newValue || (DOM_PROPERTIES.has(name) && element[name] !== newValue)) {
+					element[name] = newValue;
+				}
+				continue;
+			}
+
+			// Form-control state may have been changed by the user, so always compare with the DOM
+			if (DOM_PROPERTIES.has(name)) {
+				setDOMProperty(element, name, newValue);
+				continue;
+			}
+
 			if (oldValue === newValue && name !== 'ref') continue;
 
-			if (name === 'className') {
-				if (element.className !== newValue) {
-					element.className = newValue || '';
-				}
+			if (isClassProp(name)) {
+				setClassName(element, newValue);
 			} else if (name.startsWith('on')) {
-				const eventName = name.substring(2).toLowerCase();
-				if (typeof oldValue === 'function') {
-					element.removeEventListener(eventName, oldValue);
-				}
-				if (typeof newValue === 'function') {
-					element.addEventListener(eventName, newValue);
+				// Listeners are matched by handler and capture flag, so a change of options re-adds them
+				const oldListener = isEventProp(name, oldValue) ? getListener(element, name, oldProps) : null;
+				const newListener = isEventProp(name, newValue) ? getListener(element, name, newProps) : null;
+				if (!isSameListener(oldListener, newListener)) {
+					if (oldListener) removeListener(element, oldListener);
+					if (newListener) addListener(element, newListener);
 				}
 			} else if (name === 'dangerouslySetInnerHTML') {
 				if (newValue?.__html !== oldValue?.__html) {
 					element.innerHTML = newValue?.__html || '';
 				}
 			} else if (name === 'style') {
-				if (typeof newValue === 'string') {
-					element.style.cssText = newValue;
-				} else if (typeof newValue === 'object') {
-					element.style.cssText = '';
-					Object.assign(element.style, newValue);
-				} else {
-					element.style.cssText = '';
-				}
+				updateStyle(element, oldValue, newValue);
 			} else if (name === 'ref') {
-				if (oldValue && oldValue !== newValue) {
-					if (typeof oldValue === 'function') oldValue(null);
-					else if (oldValue?.current !== undefined) oldValue.current = null;
-				}
-				if (typeof newValue === 'function') {
-					newValue(element);
-				} else if (newValue?.current !== undefined) {
-					newValue.current = element;
-				}
+				if (oldValue && oldValue !== newValue) clearRef(oldValue, element);
+				setRef(newValue, element);
 			} else if (newValue === false || newValue === null || newValue === undefined) {
-				element.removeAttribute(name);
+				removeDOMAttribute(element, name);
 			} else if (newValue === true) {
-				element.setAttribute(name, '');
+				setDOMAttribute(element, name, '');
 			} else {
-				if (element.getAttribute(name) !== String(newValue)) {
-					element.setAttribute(name, String(newValue));
+				if (element.getAttribute(getAttributeName(name)) !== String(newValue)) {
+					setDOMAttribute(element, name, String(newValue));
 				}
 			}
 		}
@@ -200,84 +863,102 @@ const PicoJSX = (() => {
 
 	/**
 	 * Creates a DOM element from a VNode.
+	 * The created node (or fragment markers) is recorded on the VNode for later diffs.
 	 * @param {object} vnode - Virtual node to create DOM from.
+	 * @param {string|null} [namespace=null] - Namespace of the parent (SVG or MathML), null for HTML.
 	 * @returns {Node} The created DOM node.
 	 */
-	function createDOMElement(vnode) {
+	function createDOMElement(vnode, namespace = null) {
 		if (!vnode) return document.createTextNode('');
 
 		// Handle text nodes
 		if (vnode.type === '#text') {
-			return document.createTextNode(vnode.text || '');
+			vnode._dom = document.createTextNode(vnode.text || '');
+			return vnode._dom;
 		}
 
 		// Handle fragments
 		if (vnode.type === Fragment) {
 			const fragment = document.createDocumentFragment();
-			
+
 			// Add start marker
 			const startMarker = document.createComment('fragment-start');
 			fragment.appendChild(startMarker);
 			vnode._startMarker = startMarker;
-			
+
 			// Add children
-			vnode.children.forEach(child => {
-				fragment.appendChild(createDOMElement(child));
+			claimChildren(vnode.children).forEach(child => {
+				fragment.appendChild(createDOMElement(child, namespace));
 			});
-			
+
 			// Add end marker
 			const endMarker = document.createComment('fragment-end');
 			fragment.appendChild(endMarker);
 			vnode._endMarker = endMarker;
-			
+
 			return fragment;
 		}
 
-		// Handle class components
-		if (vnode.type?.isPicoClassComponent) {
-			const instance = vnode._instance || new vnode.type(vnode.props);
+		// Portal content goes into its container, a comment keeps its place in the parent
+		if (vnode.type === Portal) {
+			const placeholder = document.createComment('portal');
+			mountPortal(vnode);
+			placeholder._vnode = vnode;
+			vnode._dom = placeholder;
+			return placeholder;
+		}
+
+		// Handle class and functional components
+		if (typeof vnode.type === 'function') {
+			const instance = getInstance(vnode);
 			vnode._instance = instance;
 			instance._vnode = vnode;
-			
-			const childVNode = instance.render();
+
+			const childVNode = renderComponent(instance);
 			instance._childVNode = childVNode;
-			
-			const dom = createDOMElement(childVNode);
-			instance._dom = dom;
-			
+
+			const dom = renderSubtree(
+				instance,
+				() => createDOMElement(childVNode, namespace),
+				error => {
+					renderFallback(instance, error);
+					return withParent(instance, () => createDOMElement(instance._childVNode, namespace));
+				}
+			);
+			// A fragment result is emptied on insertion, so track its first node instead
+			instance._dom = getFirstDOM(instance._childVNode);
+
 			// Store instance reference on DOM
-			if (dom instanceof Element) {
-				dom._picoInstance = instance;
-			}
-			
-			// Queue for componentDidMount
-			if (!instance._isMounted && typeof instance.componentDidMount === 'function') {
-				setTimeout(() => {
-					if (!instance._isUnmounted) {
-						instance.componentDidMount();
-						instance._isMounted = true;
-					}
-				}, 0);
-			}
-			
+			instance._dom._picoInstance = instance;
+
+			scheduleMount(instance);
+
 			return dom;
 		}
 
-		// Handle HTML elements
+		// Handle HTML, SVG and MathML elements
 		if (typeof vnode.type === 'string') {
-			const element = document.createElement(vnode.type);
-			
+			if (vnode.type === 'svg') namespace = SVG_NS;
+			else if (vnode.type === 'math') namespace = MATH_NS;
+
+			const element = namespace
+				? document.createElementNS(namespace, vnode.type)
+				: document.createElement(vnode.type);
+
 			// Apply props
 			applyProps(element, vnode.props);
-			
-			// Append children
-			vnode.children.forEach(child => {
-				element.appendChild(createDOMElement(child));
+
+			// Append children (content of <foreignObject> is HTML again)
+			const childNamespace = vnode.type === 'foreignObject' ? null : namespace;
+			claimChildren(vnode.children).forEach(child => {
+				element.appendChild(createDOMElement(child, childNamespace));
 			});
-			
+			syncSelectValue(element, vnode.props);
+
 			// Store vnode reference
 			element._vnode = vnode;
-			
+			vnode._dom = element;
+
 			return element;
 		}
 
@@ -287,68 +968,251 @@ const PicoJSX = (() => {
 	}
 
 	/**
-	 * Diffs two VNodes and patches the DOM accordingly.
+	 * Returns the first DOM node a mounted VNode occupies in its parent.
+	 * Components are resolved through their rendered child, so the result is never stale.
+	 * @param {object} vnode - Mounted VNode.
+	 * @returns {Node|null} First DOM node.
+	 */
+	function getFirstDOM(vnode) {
+		if (!vnode) return null;
+		if (typeof vnode.type === 'function') return getFirstDOM(vnode._instance?._childVNode);
+		if (vnode.type === Fragment) return vnode._startMarker;
+		return vnode._dom || null;
+	}
+
+	/**
+	 * Returns the last DOM node a mounted VNode occupies in its parent.
+	 * @param {object} vnode - Mounted VNode.
+	 * @returns {Node|null} Last DOM node.
+	 */
+	function getLastDOM(vnode) {
+		if (!vnode) return null;
+		if (typeof vnode.type === 'function') return getLastDOM(vnode._instance?._childVNode);
+		if (vnode.type === Fragment) return vnode._endMarker;
+		return vnode._dom || null;
+	}
+
+	/**
+	 * Collects the sibling DOM nodes a mounted VNode occupies, one for most VNodes,
+	 * several for fragments and components rendering them.
+	 * @param {object} vnode - Mounted VNode.
+	 * @returns {Node[]} DOM nodes in document order.
+	 */
+	function getDOMNodes(vnode) {
+		const nodes = [];
+		const last = getLastDOM(vnode);
+		for (let node = getFirstDOM(vnode); node; node = node.nextSibling) {
+			nodes.push(node);
+			if (node === last) break;
+		}
+		return nodes;
+	}
+
+	/**
+	 * Creates the DOM for a VNode and inserts it before an anchor node.
+	 * @param {Node} parentDOM - Parent DOM node.
+	 * @param {object} vnode - VNode to mount.
+	 * @param {Node|null} anchor - Node to insert before, null to append.
+	 */
+	function insertVNode(parentDOM, vnode, anchor) {
+		parentDOM.insertBefore(createDOMElement(vnode, getChildNamespace(parentDOM)), anchor);
+	}
+
+	/**
+	 * Moves the DOM nodes of a mounted VNode before an anchor node.
+	 * @param {Node} parentDOM - Parent DOM node.
+	 * @param {object} vnode - Mounted VNode.
+	 * @param {Node|null} anchor - Node to insert before, null to append.
+	 */
+	function moveVNode(parentDOM, vnode, anchor) {
+		getDOMNodes(vnode).forEach(node => parentDOM.insertBefore(node, anchor));
+	}
+
+	/**
+	 * Unmounts a VNode and removes its DOM nodes.
+	 * @param {object} vnode - Mounted VNode.
+	 */
+	function removeVNode(vnode) {
+		const nodes = getDOMNodes(vnode);
+		unmountVNode(vnode);
+		nodes.forEach(node => {
+			if (node.parentNode) node.parentNode.removeChild(node);
+		});
+	}
+
+	/**
+	 * Creates the content of a portal and appends it to the portal's container.
+	 * @param {object} vnode - Portal VNode.
+	 */
+	function mountPortal(vnode) {
+		const container = vnode.props.container;
+		claimChildren(vnode.children);
+		withEventRoot(getPortalEventRoot(container), () => insertVNode(container, vnode.children[0], null));
+		vnode._mounted = true;
+	}
+
+	/**
+	 * Unmounts the content of a portal and removes it from the portal's container.
+	 * @param {object} vnode - Portal VNode.
+	 */
+	function unmountPortal(vnode) {
+		if (!vnode._mounted) return;
+		vnode._mounted = false;
+		removeVNode(vnode.children[0]);
+	}
+
+	/**
+	 * Lifecycle callbacks queued by the render or update being committed, null outside of one.
+	 * A component queues its callback after its subtree, so children come before their parents.
+	 * @type {Array<{instance: Component, callback: Function}>|null}
+	 */
+	let commitQueue = null;
+
+	/**
+	 * Runs a function that creates or patches DOM, then the lifecycle callbacks it queued.
+	 * Nested calls are part of the outer commit.
+	 * @param {Function} fn - Function creating or patching DOM.
+	 * @param {Node} [dom] - A node inside the root being patched, used to find where events are delegated.
+	 * @returns {*} The return value of `fn`.
+	 */
+	function commit(fn, dom) {
+		if (commitQueue) return fn();
+
+		const queue = [];
+		commitQueue = queue;
+		let result;
+		try {
+			result = withEventRoot(findEventRoot(dom), () => {
+				const value = fn();
+				renderContextConsumers();
+				return value;
+			});
+		} finally {
+			commitQueue = null;
+		}
+
+		// Errors go to the nearest error boundary, the first one without a boundary is rethrown
+		let uncaught = null;
+		queue.forEach(({ instance, callback }) => {
+			if (instance._isUnmounted) return;
+			try {
+				callback();
+			} catch (error) {
+				try {
+					handleError(instance, error);
+				} catch (unhandled) {
+					if (!uncaught) uncaught = { error: unhandled };
+				}
+			}
+		});
+		if (uncaught) throw uncaught.error;
+
+		return result;
+	}
+
+	/**
+	 * Components reading a context whose Provider got a new value during the current commit.
+	 * @type {Component[]}
+	 */
+	let contextConsumers = [];
+
+	/**
+	 * Re-renders the context consumers the diff didn't reach, such as those below a component
+	 * whose `shouldComponentUpdate` returned false, so they are up to date when the commit returns.
+	 */
+	function renderContextConsumers() {
+		while (contextConsumers.length > 0) {
+			const consumers = contextConsumers.sort((a, b) => a._depth - b._depth);
+			contextConsumers = [];
+			consumers.forEach(consumer => {
+				if (consumer._dirty) consumer._flushUpdate();
+			});
+		}
+	}
+
+	/**
+	 * Queues a lifecycle callback to run once the current commit is done.
+	 * It is dropped if the component is unmounted first.
+	 * @param {Component} instance - The component instance.
+	 * @param {Function} callback - The lifecycle callback.
+	 */
+	function queueLifecycle(instance, callback) {
+		if (commitQueue) {
+			commitQueue.push({ instance, callback });
+		} else {
+			commit(() => queueLifecycle(instance, callback));
+		}
+	}
+
+	/**
+	 * Queues `componentDidMount` for a newly created component instance.
+	 * @param {Component} instance - The component instance.
+	 */
+	function scheduleMount(instance) {
+		if (instance._isMounted) return;
+		queueLifecycle(instance, () => {
+			instance._isMounted = true;
+			if (instance._vnode.type.isPicoClassComponent) setRef(instance._vnode.ref, instance);
+			callComponent(instance, 'componentDidMount');
+		});
+	}
+
+	/**
+	 * Points a callback or object ref at a DOM element or component instance.
+	 * @param {Function|{current: *}|null|undefined} ref - The ref.
+	 * @param {*} value - Element or instance.
+	 */
+	function setRef(ref, value) {
+		if (typeof ref === 'function') {
+			ref(value);
+		} else if (ref && typeof ref === 'object') {
+			ref.current = value;
+		}
+	}
+
+	/**
+	 * Detaches a ref from an element or instance. An object ref that already points
+	 * at something else (such as the node that replaced this one) is left alone.
+	 * @param {Function|{current: *}|null|undefined} ref - The ref.
+	 * @param {*} value - Element or instance being detached.
+	 */
+	function clearRef(ref, value) {
+		if (typeof ref === 'function') {
+			ref(null);
+		} else if (ref && typeof ref === 'object' && ref.current === value) {
+			ref.current = null;
+		}
+	}
+
+	/**
+	 * Diffs two mounted VNodes and patches the DOM accordingly.
+	 * The DOM to patch is found through the old VNode, and recorded on the new one.
 	 * @param {Node} parentDOM - Parent DOM node.
-	 * @param {Node} dom - Current DOM node.
 	 * @param {object} oldVNode - Previous VNode.
 	 * @param {object} newVNode - New VNode.
-	 * @param {number} index - Child index in parent.
-	 * @returns {Node} The updated or replaced DOM node.
+	 * @returns {Node|null} The first DOM node of the new VNode.
 	 */
-	function diff(parentDOM, dom, oldVNode, newVNode, index = 0) {
-		// Handle null/undefined cases
-		if (!newVNode && !oldVNode) return null;
-		
+	function diff(parentDOM, oldVNode, newVNode) {
 		// Remove node
-		if (!newVNode && oldVNode) {
-			if (dom) {
-				unmountComponent(dom);
-				parentDOM.removeChild(dom);
-			}
+		if (!newVNode) {
+			if (oldVNode) removeVNode(oldVNode);
 			return null;
 		}
-		
-		// Add new node
-		if (newVNode && !oldVNode) {
-			const newDOM = createDOMElement(newVNode);
-			if (parentDOM.childNodes[index]) {
-				parentDOM.insertBefore(newDOM, parentDOM.childNodes[index]);
-			} else {
-				parentDOM.appendChild(newDOM);
-			}
-			return newDOM;
-		}
 
 		// Different types - replace
 		if (oldVNode.type !== newVNode.type) {
-			const newDOM = createDOMElement(newVNode);
-			
-			// Unmount only child components in the subtree, not the parent component's DOM element
-			const unmountChildren = (node) => {
-				if (node && node.childNodes) {
-					node.childNodes.forEach(child => {
-						unmountChildren(child);
-						if (child._picoInstance) {
-							if (!child._picoInstance._isUnmounted && typeof child._picoInstance.componentWillUnmount === 'function') {
-								child._picoInstance.componentWillUnmount();
-							}
-							child._picoInstance._isUnmounted = true;
-							child._picoInstance._isMounted = false;
-						}
-					});
-				}
-			};
-			
-			unmountChildren(dom);
-			
-			parentDOM.replaceChild(newDOM, dom);
-			return newDOM;
+			insertVNode(parentDOM, newVNode, getFirstDOM(oldVNode));
+			// The old VNode may be a component being swapped out (e.g. on navigation)
+			removeVNode(oldVNode);
+			return getFirstDOM(newVNode);
 		}
 
 		// Same type - update
-		
+
 		// Text nodes
 		if (newVNode.type === '#text') {
+			const dom = oldVNode._dom;
+			newVNode._dom = dom;
 			if (oldVNode.text !== newVNode.text) {
 				dom.textContent = newVNode.text;
 			}
@@ -357,284 +1221,273 @@ const PicoJSX = (() => {
 
 		// Fragments
 		if (newVNode.type === Fragment) {
-			// For fragments, dom should be the start marker if it exists
-			let startMarker = null;
-			let endMarker = null;
-			
-			// Check if dom is actually the start marker
-			if (dom && dom.nodeType === 8 && dom.textContent === 'fragment-start') {
-				startMarker = dom;
-				
-				// Find corresponding end marker
-				let node = startMarker.nextSibling;
-				while (node) {
-					if (node.nodeType === 8 && node.textContent === 'fragment-end') {
-						endMarker = node;
-						break;
-					}
-					node = node.nextSibling;
-				}
-			}
-			
-			if (startMarker && endMarker) {
-				// Fragment exists, diff children between markers
-				const oldChildren = oldVNode.children || [];
-				const newChildren = newVNode.children || [];
-				
-				// Collect existing nodes between markers
-				const existingNodes = [];
-				let node = startMarker.nextSibling;
-				while (node && node !== endMarker) {
-					existingNodes.push(node);
-					node = node.nextSibling;
-				}
-				
-				// Diff each child
-				const maxLength = Math.max(oldChildren.length, newChildren.length);
-				let currentNode = startMarker.nextSibling;
-				
-				for (let i = 0; i < maxLength; i++) {
-					const oldChild = oldChildren[i];
-					const newChild = newChildren[i];
-					
-					if (!newChild && oldChild) {
-						// Remove old child
-						if (currentNode && currentNode !== endMarker) {
-							const next = currentNode.nextSibling;
-							unmountComponent(currentNode);
-							parentDOM.removeChild(currentNode);
-							currentNode = next;
-						}
-					} else if (newChild && !oldChild) {
-						// Add new child
-						const newDOM = createDOMElement(newChild);
-						parentDOM.insertBefore(newDOM, endMarker);
-					} else if (newChild && oldChild) {
-						// Update existing child
-						if (currentNode && currentNode !== endMarker) {
-							const next = currentNode.nextSibling;
-							diff(parentDOM, currentNode, oldChild, newChild, Array.from(parentDOM.childNodes).indexOf(currentNode));
-							currentNode = next;
-						}
-					}
-				}
-				
-				// Store markers for next update
-				newVNode._startMarker = startMarker;
-				newVNode._endMarker = endMarker;
-				
-				return startMarker; // Return start marker as reference
+			const startMarker = oldVNode._startMarker;
+			const endMarker = oldVNode._endMarker;
+			newVNode._startMarker = startMarker;
+			newVNode._endMarker = endMarker;
+
+			// Same keyed reconciliation as element children, kept between the markers
+			diffChildren(parentDOM, oldVNode.children, newVNode.children, endMarker);
+
+			return startMarker;
+		}
+
+		// Portals
+		if (newVNode.type === Portal) {
+			const placeholder = oldVNode._dom;
+			newVNode._dom = placeholder;
+			placeholder._vnode = newVNode;
+
+			if (newVNode.props.container !== oldVNode.props.container) {
+				unmountPortal(oldVNode);
+				mountPortal(newVNode);
 			} else {
-				// No existing fragment, create new one
-				const newDOM = createDOMElement(newVNode);
-				if (dom) {
-					unmountComponent(dom);
-					parentDOM.replaceChild(newDOM, dom);
-				} else {
-					parentDOM.appendChild(newDOM);
-				}
-				return newVNode._startMarker;
+				const container = newVNode.props.container;
+				claimChildren(newVNode.children);
+				withEventRoot(getPortalEventRoot(container), () => diff(container, oldVNode.children[0], newVNode.children[0]));
+				newVNode._mounted = oldVNode._mounted;
 			}
+			return placeholder;
 		}
 
-		// Class components
-		if (newVNode.type?.isPicoClassComponent) {
+		// Class and functional components
+		if (typeof newVNode.type === 'function') {
 			const instance = oldVNode._instance;
 			newVNode._instance = instance;
-			
+
+			// A class instance moves to the new ref, a forwardRef component re-renders to pass it down
+			const refChanged = oldVNode.ref !== newVNode.ref;
+			if (refChanged && newVNode.type.isPicoClassComponent) {
+				clearRef(oldVNode.ref, instance);
+				setRef(newVNode.ref, instance);
+			}
+
+			// Queued updates are applied as part of this render, so the scheduled one is dropped
+			instance._dirty = false;
+			const nextState = instance._applyPendingState(newVNode.props);
+			const forceRender = instance._forceRender || (refChanged && newVNode.type.forwardsRef === true);
+			instance._forceRender = false;
+
+			// Skipped updates keep the previous child VNode and DOM untouched
+			if (!forceRender && !instance.shouldComponentUpdate(newVNode.props, nextState)) {
+				instance.props = newVNode.props;
+				instance.state = nextState;
+				instance._vnode = newVNode;
+				instance._runRenderCallbacks();
+				return instance._dom;
+			}
+
 			// Update props (including children)
 			const prevProps = instance.props;
 			const prevState = instance.state;
 			instance.props = newVNode.props;
+			instance.state = nextState;
 			instance._vnode = newVNode;
-			
+
 			// Re-render
 			const oldChildVNode = instance._childVNode;
-			const newChildVNode = instance.render();
+			const range = getDOMRange(parentDOM, oldChildVNode);
+			const newChildVNode = renderComponent(instance);
 			instance._childVNode = newChildVNode;
-			
+			const snapshot = getSnapshot(instance, prevProps, prevState);
+
 			// Recursively diff children
-			const newDOM = diff(dom.parentNode, dom, oldChildVNode, newChildVNode, Array.from(dom.parentNode.childNodes).indexOf(dom));
-			
-			// If the child is a fragment, we need to update the DOM reference
-			if (newChildVNode && newChildVNode.type === Fragment && newDOM !== dom) {
-				return newDOM;
-			}
-			
-			// Call componentDidUpdate
-			if (typeof instance.componentDidUpdate === 'function') {
-				instance.componentDidUpdate(prevProps, prevState);
-			}
-			
-			return dom;
+			renderSubtree(
+				instance,
+				() => diff(parentDOM, oldChildVNode, newChildVNode),
+				error => replaceRendered(instance, oldChildVNode, range, error)
+			);
+			instance._dom = getFirstDOM(instance._childVNode);
+			instance._dom._picoInstance = instance;
+
+			// Call componentDidUpdate once the DOM is committed
+			queueLifecycle(instance, () => {
+				if (typeof instance.componentDidUpdate === 'function') {
+					callComponent(instance, 'componentDidUpdate', prevProps, prevState, snapshot);
+				}
+				instance._runRenderCallbacks();
+			});
+
+			return instance._dom;
 		}
 
 		// HTML elements
 		if (typeof newVNode.type === 'string') {
+			const dom = oldVNode._dom;
+			newVNode._dom = dom;
+
 			// Update props
 			updateProps(dom, oldVNode.props, newVNode.props);
-			
+
 			// Update children with keys support
 			diffChildren(dom, oldVNode.children, newVNode.children);
-			
+			syncSelectValue(dom, newVNode.props);
+
 			// Update stored vnode
 			dom._vnode = newVNode;
-			
+
 			return dom;
 		}
 
-		return dom;
+		return getFirstDOM(oldVNode);
+	}
+
+	/**
+	 * Checks whether an old and a new child VNode can be diffed in place: same type and same key.
+	 * @param {object} oldVNode - Old child VNode.
+	 * @param {object} newVNode - New child VNode.
+	 * @returns {boolean} True when they stand for the same node.
+	 */
+	function isSameVNode(oldVNode, newVNode) {
+		return oldVNode?.type === newVNode?.type && (oldVNode?.key ?? null) === (newVNode?.key ?? null);
+	}
+
+	/**
+	 * Finds the longest strictly increasing subsequence, skipping negative entries.
+	 * @param {number[]} sequence - Numbers to look at.
+	 * @returns {number[]} Indices into `sequence` of the subsequence, in order.
+	 */
+	function longestIncreasingSubsequence(sequence) {
+		const tails = [];
+		const predecessors = new Array(sequence.length);
+
+		sequence.forEach((value, i) => {
+			if (value < 0) return;
+			let low = 0;
+			let high = tails.length;
+			while (low < high) {
+				const mid = (low + high) >> 1;
+				if (sequence[tails[mid]] < value) low = mid + 1;
+				else high = mid;
+			}
+			predecessors[i] = low > 0 ? tails[low - 1] : -1;
+			tails[low] = i;
+		});
+
+		const result = new Array(tails.length);
+		for (let i = tails.length - 1, index = tails[tails.length - 1]; i >= 0; i--) {
+			result[i] = index;
+			index = predecessors[index];
+		}
+		return result;
 	}
 
 	/**
 	 * Diffs and updates children with key support.
+	 * The common prefix and suffix are patched in place. In between, old children are matched by
+	 * key (unkeyed ones by type, in order) and only those outside the longest run already in
+	 * the right order are moved, so reordering a list does the fewest DOM moves.
 	 * @param {Element} parentDOM - Parent DOM element.
 	 * @param {Array} oldChildren - Old child VNodes.
 	 * @param {Array} newChildren - New child VNodes.
+	 * @param {Node|null} [endAnchor=null] - Node right after the last child, null when the children end the parent.
 	 */
-	function diffChildren(parentDOM, oldChildren = [], newChildren = []) {
-		const oldKeyed = {};
-		const newKeyed = {};
-		const oldElements = Array.from(parentDOM.childNodes);
-
-		// Build key maps
-		oldChildren.forEach((child, i) => {
-			if (child?.key !== null && child?.key !== undefined) {
-				oldKeyed[child.key] = { vnode: child, dom: oldElements[i], index: i };
-			}
-		});
+	function diffChildren(parentDOM, oldChildren = [], newChildren = [], endAnchor = null) {
+		claimChildren(newChildren);
+		let start = 0;
+		let oldEnd = oldChildren.length - 1;
+		let newEnd = newChildren.length - 1;
+
+		// Common prefix
+		while (start <= oldEnd && start <= newEnd && isSameVNode(oldChildren[start], newChildren[start])) {
+			diff(parentDOM, oldChildren[start], newChildren[start]);
+			start++;
+		}
 
-		newChildren.forEach((child, i) => {
-			if (child?.key !== null && child?.key !== undefined) {
-				newKeyed[child.key] = { vnode: child, index: i };
-			}
-		});
+		// Common suffix
+		while (start <= oldEnd && start <= newEnd && isSameVNode(oldChildren[oldEnd], newChildren[newEnd])) {
+			diff(parentDOM, oldChildren[oldEnd], newChildren[newEnd]);
+			oldEnd--;
+			newEnd--;
+		}
 
-		// Track which old children have been matched
-		const matched = new Set();
-
-		// Process new children
-		newChildren.forEach((newChild, newIndex) => {
-			let oldChild = null;
-			let oldDOM = null;
-			let oldIndex = -1;
-
-			if (newChild?.key !== null && newChild?.key !== undefined) {
-				// Keyed child - find matching old child by key
-				const oldMatch = oldKeyed[newChild.key];
-				if (oldMatch) {
-					oldChild = oldMatch.vnode;
-					oldDOM = oldMatch.dom;
-					oldIndex = oldMatch.index;
-					matched.add(oldIndex);
-				}
+		// Index new children left in the middle by key, and unkeyed ones by type
+		const newIndexByKey = new Map();
+		const unkeyedByType = new Map();
+		for (let i = start; i <= newEnd; i++) {
+			const child = newChildren[i];
+			if (child.key !== null && child.key !== undefined) {
+				newIndexByKey.set(child.key, i);
 			} else {
-				// Non-keyed - find first unmatched old child of same type at same position
-				if (newIndex < oldChildren.length && !matched.has(newIndex)) {
-					const candidate = oldChildren[newIndex];
-					if (!candidate?.key && candidate?.type === newChild?.type) {
-						oldChild = candidate;
-						oldDOM = oldElements[newIndex];
-						oldIndex = newIndex;
-						matched.add(oldIndex);
-					}
-				}
+				if (!unkeyedByType.has(child.type)) unkeyedByType.set(child.type, []);
+				unkeyedByType.get(child.type).push(i);
 			}
+		}
 
-			// Diff the child
-			const resultDOM = diff(parentDOM, oldDOM, oldChild, newChild, newIndex);
-
-			// Move if necessary
-			if (resultDOM && resultDOM !== parentDOM.childNodes[newIndex]) {
-				if (parentDOM.childNodes[newIndex]) {
-					parentDOM.insertBefore(resultDOM, parentDOM.childNodes[newIndex]);
-				} else {
-					parentDOM.appendChild(resultDOM);
-				}
+		// Patch matching old children where they are, remove the rest
+		const oldIndexOf = new Array(newEnd - start + 1).fill(-1);
+		let moved = false;
+		let lastIndex = -1;
+		for (let i = start; i <= oldEnd; i++) {
+			const oldChild = oldChildren[i];
+			const newIndex = oldChild.key !== null && oldChild.key !== undefined
+				? newIndexByKey.get(oldChild.key)
+				: unkeyedByType.get(oldChild.type)?.shift();
+
+			if (newIndex === undefined || oldIndexOf[newIndex - start] !== -1) {
+				removeVNode(oldChild);
+				continue;
 			}
-		});
 
-		// Remove unmatched old children
-		oldChildren.forEach((oldChild, i) => {
-			if (!matched.has(i) && oldElements[i]) {
-				unmountComponent(oldElements[i]);
-				if (oldElements[i].parentNode === parentDOM) {
-					parentDOM.removeChild(oldElements[i]);
-				}
+			oldIndexOf[newIndex - start] = i;
+			diff(parentDOM, oldChild, newChildren[newIndex]);
+			if (newIndex < lastIndex) moved = true;
+			lastIndex = Math.max(lastIndex, newIndex);
+		}
+
+		// Walk backwards so the next sibling is always in place to insert before
+		const stable = new Set(moved ? longestIncreasingSubsequence(oldIndexOf).map(k => k + start) : []);
+		for (let i = newEnd; i >= start; i--) {
+			const anchor = i + 1 < newChildren.length ? getFirstDOM(newChildren[i + 1]) : endAnchor;
+			if (oldIndexOf[i - start] === -1) {
+				insertVNode(parentDOM, newChildren[i], anchor);
+			} else if (moved && !stable.has(i)) {
+				moveVNode(parentDOM, newChildren[i], anchor);
 			}
-		});
+		}
 	}
 
 	/**
-	 * Unmounts a component and its children.
-	 * @param {Node} dom - DOM node to unmount.
+	 * Unmounts everything below a VNode: runs `componentWillUnmount` (parents first),
+	 * clears refs and removes portal content. The VNode's own DOM is left in place.
+	 * @param {object} vnode - Mounted VNode.
 	 */
-	function unmountComponent(dom) {
-		if (!dom) return;
-
-		// Handle fragment markers - if this is a fragment start marker, remove everything until end marker
-		if (dom.nodeType === 8 && dom.textContent === 'fragment-start') {
-			const parent = dom.parentNode;
-			if (parent) {
-				let node = dom.nextSibling;
-				const nodesToRemove = [dom];
-				
-				// Collect all nodes until end marker
-				while (node) {
-					nodesToRemove.push(node);
-					if (node.nodeType === 8 && node.textContent === 'fragment-end') {
-						break;
-					}
-					node = node.nextSibling;
-				}
-				
-				// Remove all collected nodes
-				nodesToRemove.forEach(n => {
-					if (n && n.parentNode) {
-						// Unmount children first
-						if (n.childNodes) {
-							n.childNodes.forEach(child => unmountComponent(child));
-						}
-						// Handle component instances
-						if (n._picoInstance) {
-							const instance = n._picoInstance;
-							if (!instance._isUnmounted && typeof instance.componentWillUnmount === 'function') {
-								instance.componentWillUnmount();
-							}
-							instance._isUnmounted = true;
-							instance._isMounted = false;
-						}
-						n.parentNode.removeChild(n);
-					}
-				});
-				return;
-			}
+	function unmountVNode(vnode) {
+		if (!vnode) return;
+
+		if (typeof vnode.type === 'function') {
+			const instance = vnode._instance;
+			if (!instance || instance._isUnmounted) return;
+			unmountInstance(instance);
+			if (vnode.type.isPicoClassComponent) clearRef(vnode.ref, instance);
+			unmountVNode(instance._childVNode);
+			return;
 		}
 
-		// Handle component instances
-		if (dom._picoInstance) {
-			const instance = dom._picoInstance;
-			if (!instance._isUnmounted && typeof instance.componentWillUnmount === 'function') {
-				instance.componentWillUnmount();
-			}
-			instance._isUnmounted = true;
-			instance._isMounted = false;
+		if (vnode.type === Portal) {
+			unmountPortal(vnode);
+			return;
 		}
 
-		// Recursively unmount children
-		if (dom.childNodes) {
-			dom.childNodes.forEach(child => unmountComponent(child));
-		}
+		vnode.children?.forEach(unmountVNode);
 
 		// Clean up refs
-		const vnode = dom._vnode;
-		if (vnode?.props?.ref) {
-			if (typeof vnode.props.ref === 'function') {
-				vnode.props.ref(null);
-			} else if (vnode.props.ref?.current !== undefined) {
-				vnode.props.ref.current = null;
-			}
+		clearRef(vnode.props?.ref, vnode._dom);
+	}
+
+	/**
+	 * Runs `componentWillUnmount` for a component instance and marks it as unmounted.
+	 * @param {Component} instance - The component instance to unmount.
+	 */
+	function unmountInstance(instance) {
+		if (!instance || instance._isUnmounted) return;
+
+		if (typeof instance.componentWillUnmount === 'function') {
+			instance.componentWillUnmount();
 		}
+		instance._isUnmounted = true;
+		instance._isMounted = false;
+		instance._providers?.forEach(provider => provider._subscribers.delete(instance));
 	}
 
 	/**
@@ -654,24 +1507,95 @@ const PicoJSX = (() => {
 			this._isMounted = false;
 			this._isUnmounted = false;
 			this._prevState = null;
+			this._parent = null;
+			this._depth = 0;
+			this._dirty = false;
+			this._forceRender = false;
+			this._pendingStates = [];
+			this._renderCallbacks = [];
 		}
 
-		setState(updater) {
-			// Save previous state before updating
-			this._prevState = { ...this.state };
-			
-			if (typeof updater === 'function') {
-				Object.assign(this.state, updater(this.state, this.props));
+		/**
+		 * Queues a state change. Updates made in the same tick are batched into a single render.
+		 * @param {object|Function} updater - Partial state, or `(state, props) => partialState`.
+		 * @param {Function} [callback] - Called once the update has been committed to the DOM.
+		 * @returns {Promise<void>} Resolves once the update has been committed to the DOM.
+		 */
+		setState(updater, callback) {
+			this._pendingStates.push(updater);
+			return this._scheduleRender(callback);
+		}
+
+		/**
+		 * Queues a re-render that bypasses `shouldComponentUpdate`.
+		 * @param {Function} [callback] - Called once the update has been committed to the DOM.
+		 * @returns {Promise<void>} Resolves once the update has been committed to the DOM.
+		 */
+		forceUpdate(callback) {
+			this._forceRender = true;
+			return this._scheduleRender(callback);
+		}
+
+		_scheduleRender(callback) {
+			return new Promise(resolve => {
+				this._renderCallbacks.push(() => {
+					if (typeof callback === 'function') callback.call(this);
+					resolve();
+				});
+				enqueueRender(this);
+			});
+		}
+
+		_applyPendingState(props) {
+			let nextState = this.state;
+			this._pendingStates.forEach(updater => {
+				const partialState = typeof updater === 'function' ? updater(nextState, props) : updater;
+				nextState = { ...nextState, ...partialState };
+			});
+			this._pendingStates = [];
+			return deriveState(this, props, nextState);
+		}
+
+		_runRenderCallbacks() {
+			const callbacks = this._renderCallbacks;
+			this._renderCallbacks = [];
+			callbacks.forEach(callback => callback());
+		}
+
+		/**
+		 * Applies queued updates and re-renders. Called by the render queue.
+		 */
+		_flushUpdate() {
+			this._dirty = false;
+			const nextState = this._applyPendingState(this.props);
+			const forceRender = this._forceRender;
+			this._forceRender = false;
+
+			if (!this._isUnmounted && (forceRender || this.shouldComponentUpdate(this.props, nextState))) {
+				// Save previous state before updating
+				this._prevState = this.state;
+				this.state = nextState;
+				this.update();
 			} else {
-				Object.assign(this.state, updater);
+				this.state = nextState;
 			}
-			
-			this.update();
+			this._runRenderCallbacks();
 		}
 
 		update() {
 			if (!this._dom || this._isUnmounted) return;
 
+			// Errors climb to the nearest error boundary above this component
+			commit(() => {
+				try {
+					discardOnError(() => this._rerender());
+				} catch (error) {
+					handleError(this, error);
+				}
+			}, this._dom);
+		}
+
+		_rerender() {
 			const prevProps = { ...this.props };
 			// Use saved prevState from setState, or current state if called directly
 			const prevState = this._prevState || { ...this.state };
@@ -680,23 +1604,29 @@ const PicoJSX = (() => {
 
 			// Re-render and diff
 			const oldChildVNode = this._childVNode;
-			const newChildVNode = this.render();
+			const newChildVNode = renderComponent(this);
 			this._childVNode = newChildVNode;
 
 			// Find where we are in parent
 			const parentDOM = this._dom.parentNode;
 			if (!parentDOM) return;
+			const range = getDOMRange(parentDOM, oldChildVNode);
+			const snapshot = getSnapshot(this, prevProps, prevState);
 
-			const index = Array.from(parentDOM.childNodes).indexOf(this._dom);
-			
 			// Diff and patch
-			const newDOM = diff(parentDOM, this._dom, oldChildVNode, newChildVNode, index);
-			this._dom = newDOM;
+			renderSubtree(
+				this,
+				() => diff(parentDOM, oldChildVNode, newChildVNode),
+				error => replaceRendered(this, oldChildVNode, range, error)
+			);
+			updateRootDOM(this);
 
 			// Lifecycle
-			if (typeof this.componentDidUpdate === 'function') {
-				this.componentDidUpdate(prevProps, prevState);
-			}
+			queueLifecycle(this, () => {
+				if (typeof this.componentDidUpdate === 'function') {
+					callComponent(this, 'componentDidUpdate', prevProps, prevState, snapshot);
+				}
+			});
 		}
 
 		render() {
@@ -705,36 +1635,751 @@ const PicoJSX = (() => {
 
 		componentDidMount() {}
 		componentWillUnmount() {}
-		componentDidUpdate(prevProps, prevState) { // eslint-disable-line no-unused-vars
+		componentDidUpdate(prevProps, prevState, snapshot) { // eslint-disable-line no-unused-vars
 	}
+		shouldComponentUpdate(nextProps, nextState) { // eslint-disable-line no-unused-vars
+			return true;
+		}
 	}
 
 	/**
-	 * Creates a simple global state store with optional localStorage persistence.
-	 * @param {*} initialState - The initial value of the store's state.
-	 * @param {object} [options={}] - Configuration options.
-	 * @param {string} [options.storageKey] - Key for localStorage persistence.
-	 * @returns {{getState: Function, setState: Function, subscribe: Function}} Store object.
+	 * Component that skips re-rendering when its props and state are shallowly equal.
+	 * @class PureComponent
 	 */
-	function createStore(initialState, options = {}) {
-		const { storageKey } = options;
-		let state = initialState;
-		const listeners = new Set();
-
-		if (storageKey) {
-			try {
-				const stored = localStorage.getItem(storageKey);
-				if (stored !== null) {
-					state = JSON.parse(stored);
-				}
-			} catch (e) {
-				// eslint-disable-next-line no-console
-				console.error(`PicoJSX Store: Error loading state for "${storageKey}"`, e);
-			}
-		}
-
-		function getState() {
-			return state;
+	class PureComponent extends Component {
+		shouldComponentUpdate(nextProps, nextState) {
+			return !shallowEqual(this.props, nextProps) || !shallowEqual(this.state, nextState);
+		}
+	}
+
+	/**
+	 * The component currently rendering, used by hooks to find their state.
+	 * @type {FunctionalComponent|null}
+	 */
+	let currentComponent = null;
+	let currentHookIndex = 0;
+
+	/**
+	 * Internal component that hosts a functional component, giving it an instance
+	 * to keep hook state and effects between renders.
+	 * @class FunctionalComponent
+	 * @private
+	 */
+	class FunctionalComponent extends Component {
+		constructor(props, fn) {
+			super(props);
+			this._fn = fn;
+			this._hooks = [];
+			this._layoutEffects = [];
+			this._effects = [];
+		}
+
+		render() {
+			const prevComponent = currentComponent;
+			currentComponent = this;
+			currentHookIndex = 0;
+			try {
+				// forwardRef components get the ref instead of the children
+				const fn = this._fn;
+				return fn(this.props, fn.forwardsRef ? this._vnode?.ref ?? null : this._vnode?.children || []);
+			} finally {
+				currentComponent = prevComponent;
+			}
+		}
+
+		componentDidMount() {
+			this.flushEffects();
+		}
+
+		componentDidUpdate() {
+			this.flushEffects();
+		}
+
+		shouldComponentUpdate(nextProps) {
+			const areEqual = this._fn.compare || shallowEqual;
+			return !areEqual(this.props, nextProps);
+		}
+
+		componentWillUnmount() {
+			this._layoutEffects = [];
+			this._effects = [];
+			this._hooks.forEach(hook => {
+				if (typeof hook.cleanup === 'function') {
+					hook.cleanup();
+					hook.cleanup = undefined;
+				}
+			});
+		}
+
+		/**
+		 * Runs layout effects right away and defers regular effects to a later task.
+		 */
+		flushEffects() {
+			runEffects(this._layoutEffects);
+			this._layoutEffects = [];
+
+			if (this._effects.length > 0) {
+				const effects = this._effects;
+				this._effects = [];
+				setTimeout(() => {
+					if (this._isUnmounted) return;
+					try {
+						runEffects(effects);
+					} catch (error) {
+						handleError(this, error);
+					}
+				}, 0);
+			}
+		}
+	}
+
+	/**
+	 * Runs queued effects, calling the previous cleanup of their hook first.
+	 * @param {Array<{hook: object, effect: Function}>} effects - Effects from `queueEffect()`.
+	 */
+	function runEffects(effects) {
+		effects.forEach(({ hook, effect }) => {
+			if (typeof hook.cleanup === 'function') hook.cleanup();
+			const cleanup = effect();
+			hook.cleanup = typeof cleanup === 'function' ? cleanup : undefined;
+		});
+	}
+
+	/**
+	 * Wraps a functional component so it only re-renders when `areEqual` reports changed props.
+	 * @param {Function} component - The functional component to memoize.
+	 * @param {Function} [areEqual] - `(prevProps, nextProps) => boolean`, defaults to a shallow comparison.
+	 * @returns {Function} The memoized functional component.
+	 */
+	function memo(component, areEqual) {
+		const Memo = (props, children) => component(props, children);
+		Memo.compare = areEqual || shallowEqual;
+		if (component.forwardsRef) Memo.forwardsRef = true;
+		Memo.displayName = `Memo(${component.displayName || component.name || 'Anonymous'})`;
+		return Memo;
+	}
+
+	/**
+	 * Creates a functional component that receives the `ref` given to it as a second argument,
+	 * so it can pass the ref on to a DOM element or class component it renders.
+	 * @param {Function} render - `(props, ref) => vnode`.
+	 * @returns {Function} The functional component.
+	 */
+	function forwardRef(render) {
+		const ForwardRef = (props, ref) => render(props, ref);
+		ForwardRef.forwardsRef = true;
+		ForwardRef.displayName = `ForwardRef(${render.displayName || render.name || 'Anonymous'})`;
+		return ForwardRef;
+	}
+
+	/**
+	 * Creates a context for passing a value down to a subtree without threading it through props.
+	 * @param {*} defaultValue - Value seen by components with no Provider above them.
+	 * @returns {{Provider: Function, Consumer: Function, defaultValue: *}} The context.
+	 */
+	function createContext(defaultValue) {
+		const context = { defaultValue };
+
+		/**
+		 * Provides `props.value` to every component below it reading this context.
+		 */
+		class Provider extends Component {
+			constructor(props) {
+				super(props);
+				this._context = context;
+				this._subscribers = new Set();
+				this._value = props?.value;
+			}
+
+			render() {
+				// Consumers re-render in the same commit, even below components skipping their update
+				if (!Object.is(this._value, this.props.value)) {
+					this._value = this.props.value;
+					this._subscribers.forEach(subscriber => {
+						subscriber._forceRender = true;
+						enqueueRender(subscriber);
+						contextConsumers.push(subscriber);
+					});
+				}
+				const children = this.props.children;
+				if (Array.isArray(children)) return h(Fragment, null, ...children);
+				return children === undefined ? null : children;
+			}
+		}
+
+		/**
+		 * Calls its function child with the current context value.
+		 */
+		class Consumer extends Component {
+			static contextType = context;
+
+			render() {
+				const children = this.props.children;
+				const renderValue = Array.isArray(children) ? children[0] : children;
+				return renderValue(this.context);
+			}
+		}
+
+		context.Provider = Provider;
+		context.Consumer = Consumer;
+		return context;
+	}
+
+	/**
+	 * Reads a context value for a component from the nearest Provider above it,
+	 * subscribing the component to value changes.
+	 * @param {Component} instance - The component reading the context.
+	 * @param {object} context - Context created by `createContext()`.
+	 * @returns {*} The Provider's value, or the context's default value.
+	 */
+	function readContext(instance, context) {
+		for (let provider = instance._parent; provider; provider = provider._parent) {
+			if (provider._context === context) {
+				provider._subscribers.add(instance);
+				instance._providers = instance._providers || new Set();
+				instance._providers.add(provider);
+				return provider.props.value;
+			}
+		}
+		return context.defaultValue;
+	}
+
+	/**
+	 * Returns the instance of a component VNode about to be mounted. A VNode mounted
+	 * again after being unmounted (e.g. a hoisted `h(Counter)` shown, hidden and shown
+	 * again) gets a new instance, since the unmounted one no longer renders or updates.
+	 * @param {object} vnode - Component VNode.
+	 * @returns {Component} The component instance.
+	 */
+	function getInstance(vnode) {
+		const instance = vnode._instance;
+		return instance && !instance._isUnmounted ? instance : createInstance(vnode);
+	}
+
+	/**
+	 * Creates the component instance for a class or functional component VNode.
+	 * @param {object} vnode - Component VNode.
+	 * @returns {Component} The new instance.
+	 */
+	function createInstance(vnode) {
+		const instance = vnode.type.isPicoClassComponent
+			? new vnode.type(vnode.props)
+			: new FunctionalComponent(vnode.props, vnode.type);
+		instance._parent = currentParent;
+		instance._depth = currentParent ? currentParent._depth + 1 : 0;
+		if (createdInstances) createdInstances.push(instance);
+		instance.state = deriveState(instance, instance.props, instance.state);
+		return instance;
+	}
+
+	/**
+	 * Merges the result of a class's static `getDerivedStateFromProps(props, state)` into a state.
+	 * @param {Component} instance - The component instance.
+	 * @param {object} props - Props the component is about to render with.
+	 * @param {object} state - State the component is about to render with.
+	 * @returns {object} The state to render with.
+	 */
+	function deriveState(instance, props, state) {
+		const getDerivedStateFromProps = instance.constructor.getDerivedStateFromProps;
+		if (typeof getDerivedStateFromProps !== 'function') return state;
+
+		const partialState = getDerivedStateFromProps(props, state);
+		return partialState ? { ...state, ...partialState } : state;
+	}
+
+	/**
+	 * Calls `getSnapshotBeforeUpdate` right before a re-rendered component's DOM is patched.
+	 * @param {Component} instance - The component instance, already holding the new props and state.
+	 * @param {object} prevProps - Props before the update.
+	 * @param {object} prevState - State before the update.
+	 * @returns {*} The snapshot passed to `componentDidUpdate`, or undefined.
+	 */
+	function getSnapshot(instance, prevProps, prevState) {
+		if (typeof instance.getSnapshotBeforeUpdate !== 'function') return undefined;
+		return callComponent(instance, 'getSnapshotBeforeUpdate', prevProps, prevState);
+	}
+
+	/**
+	 * The component whose subtree is being created or diffed, recorded as the parent of new instances.
+	 * @type {Component|null}
+	 */
+	let currentParent = null;
+
+	/**
+	 * Runs a function with the given component as the parent of any instance created inside it.
+	 * @param {Component} instance - The parent component.
+	 * @param {Function} fn - Function rendering the component's subtree.
+	 * @returns {*} The return value of `fn`.
+	 */
+	function withParent(instance, fn) {
+		const prevParent = currentParent;
+		currentParent = instance;
+		try {
+			return fn();
+		} finally {
+			currentParent = prevParent;
+		}
+	}
+
+	/**
+	 * Instances created by the render currently guarded by `discardOnError()`.
+	 * @type {Component[]|null}
+	 */
+	let createdInstances = null;
+
+	/**
+	 * The component an error was first thrown from, used for the component stack.
+	 * @type {{error: *, instance: Component}|null}
+	 */
+	let errorSource = null;
+
+	/**
+	 * Calls a component method, remembering the component if it throws.
+	 * @param {Component} instance - The component instance.
+	 * @param {string} method - Method name, e.g. `render`.
+	 * @param {...*} args - Arguments for the method.
+	 * @returns {*} The return value of the method.
+	 */
+	function callComponent(instance, method, ...args) {
+		try {
+			return instance[method](...args);
+		} catch (error) {
+			if (errorSource?.error !== error) errorSource = { error, instance };
+			throw error;
+		}
+	}
+
+	/**
+	 * Renders a component, first reading the context it subscribes to with `static contextType`.
+	 * @param {Component} instance - The component instance.
+	 * @returns {object} The rendered child VNode, see `normalizeVNode()`.
+	 */
+	function renderComponent(instance) {
+		const contextType = instance.constructor.contextType;
+		if (contextType) {
+			instance.context = readContext(instance, contextType);
+		}
+		return normalizeVNode(callComponent(instance, 'render'));
+	}
+
+	/**
+	 * Returns the display name of a component instance.
+	 * @param {Component} instance - The component instance.
+	 * @returns {string} Component name.
+	 */
+	function getComponentName(instance) {
+		const type = instance instanceof FunctionalComponent ? instance._fn : instance.constructor;
+		return type.displayName || type.name || 'Anonymous';
+	}
+
+	/**
+	 * Describes where a component sits in the tree, innermost first.
+	 * @param {Component} instance - The component instance.
+	 * @returns {string} One `in Name` line per component up to the root.
+	 */
+	function getComponentStack(instance) {
+		let stack = '';
+		for (let current = instance; current; current = current._parent) {
+			stack += `\n    in ${getComponentName(current)}`;
+		}
+		return stack;
+	}
+
+	/**
+	 * Checks whether a component catches errors thrown below it.
+	 * @param {Component} instance - The component instance.
+	 * @returns {boolean} True for components with `componentDidCatch` or a static `getDerivedStateFromError`.
+	 */
+	function isErrorBoundary(instance) {
+		return typeof instance.componentDidCatch === 'function'
+			|| typeof instance.constructor.getDerivedStateFromError === 'function';
+	}
+
+	/**
+	 * Runs a render and, if it throws, marks the component instances it created as
+	 * unmounted so their queued `componentDidMount` never runs.
+	 * @param {Function} fn - Function creating or diffing DOM.
+	 * @returns {*} The return value of `fn`.
+	 */
+	function discardOnError(fn) {
+		const prevCreated = createdInstances;
+		createdInstances = [];
+		try {
+			return fn();
+		} catch (error) {
+			createdInstances.forEach(instance => {
+				instance._isUnmounted = true;
+			});
+			throw error;
+		} finally {
+			if (prevCreated) prevCreated.push(...createdInstances);
+			createdInstances = prevCreated;
+		}
+	}
+
+	/**
+	 * Renders a component's subtree. For error boundaries, errors thrown below are handed to `recover`.
+	 * @param {Component} instance - The component whose subtree is rendered.
+	 * @param {Function} render - Function creating or diffing the subtree.
+	 * @param {Function} recover - `(error) => Node`, renders the fallback in place of the subtree.
+	 * @returns {*} The return value of `render`, or of `recover` after an error.
+	 */
+	function renderSubtree(instance, render, recover) {
+		if (!isErrorBoundary(instance)) {
+			return withParent(instance, render);
+		}
+		try {
+			return discardOnError(() => withParent(instance, render));
+		} catch (error) {
+			return recover(error);
+		}
+	}
+
+	/**
+	 * Lets an error boundary update its state for an error and renders its fallback VNode.
+	 * State set in `componentDidCatch` is applied before the fallback renders.
+	 * @param {Component} boundary - The error boundary.
+	 * @param {*} error - The error thrown below it.
+	 */
+	function renderFallback(boundary, error) {
+		const source = errorSource?.error === error ? errorSource.instance : boundary;
+		errorSource = null;
+
+		const getDerivedStateFromError = boundary.constructor.getDerivedStateFromError;
+		if (typeof getDerivedStateFromError === 'function') {
+			boundary.state = { ...boundary.state, ...getDerivedStateFromError(error) };
+		}
+		if (typeof boundary.componentDidCatch === 'function') {
+			boundary.componentDidCatch(error, { componentStack: getComponentStack(source) });
+		}
+		boundary.state = boundary._applyPendingState(boundary.props);
+		boundary._childVNode = renderComponent(boundary);
+	}
+
+	/**
+	 * Records the siblings around a mounted VNode. A failed render may leave the nodes in between
+	 * half patched, but never touches the siblings.
+	 * @param {Node} parentDOM - Parent DOM node.
+	 * @param {object} vnode - Mounted VNode.
+	 * @returns {{parentDOM: Node, before: Node|null, after: Node|null}} The VNode's place in the parent.
+	 */
+	function getDOMRange(parentDOM, vnode) {
+		return {
+			parentDOM,
+			before: getFirstDOM(vnode)?.previousSibling || null,
+			after: getLastDOM(vnode)?.nextSibling || null,
+		};
+	}
+
+	/**
+	 * Replaces everything an error boundary rendered with its fallback,
+	 * unmounting every component of the failed subtree.
+	 * @param {Component} boundary - The error boundary.
+	 * @param {object} oldChildVNode - The child VNode rendered before the failed update.
+	 * @param {{parentDOM: Node, before: Node|null, after: Node|null}} range - Where the boundary's DOM was.
+	 * @param {*} error - The error thrown below the boundary.
+	 */
+	function replaceRendered(boundary, oldChildVNode, range, error) {
+		const failedChildVNode = boundary._childVNode;
+		const { parentDOM, before, after } = range;
+
+		renderFallback(boundary, error);
+
+		unmountVNode(oldChildVNode);
+		unmountVNode(failedChildVNode);
+		let node = before ? before.nextSibling : parentDOM.firstChild;
+		while (node && node !== after) {
+			const next = node.nextSibling;
+			parentDOM.removeChild(node);
+			node = next;
+		}
+
+		withParent(boundary, () => insertVNode(parentDOM, boundary._childVNode, after));
+		updateRootDOM(boundary);
+	}
+
+	/**
+	 * Records a component's first DOM node after it re-rendered on its own. Ancestors that
+	 * render it directly start at the same node, so they are updated too.
+	 * @param {Component} instance - The component instance.
+	 */
+	function updateRootDOM(instance) {
+		const prevDOM = instance._dom;
+		const newDOM = getFirstDOM(instance._childVNode);
+		for (let current = instance; current && (current === instance || current._dom === prevDOM); current = current._parent) {
+			current._dom = newDOM;
+			newDOM._picoInstance = current;
+		}
+	}
+
+	/**
+	 * Hands an error thrown outside of a parent's render (updates, `componentDidMount`, effects)
+	 * to the nearest error boundary above the component that threw. Rethrows when there is none.
+	 * @param {Component} instance - The component the error came from.
+	 * @param {*} error - The error.
+	 */
+	function handleError(instance, error) {
+		if (errorSource?.error !== error) errorSource = { error, instance };
+
+		let boundary = instance._parent;
+		while (boundary && (boundary._isUnmounted || !boundary._dom?.parentNode || !isErrorBoundary(boundary))) {
+			boundary = boundary._parent;
+		}
+		if (!boundary) {
+			errorSource = null;
+			throw error;
+		}
+
+		try {
+			const childVNode = boundary._childVNode;
+			const range = getDOMRange(boundary._dom.parentNode, childVNode);
+			commit(() => discardOnError(() => replaceRendered(boundary, childVNode, range, error)), boundary._dom);
+		} catch (fallbackError) {
+			handleError(boundary, fallbackError);
+		}
+	}
+
+	/**
+	 * Components with queued updates, flushed together once per microtask.
+	 * @type {Component[]}
+	 */
+	let renderQueue = [];
+	let flushScheduled = false;
+
+	/**
+	 * Marks a component as dirty and schedules a flush of the render queue.
+	 * @param {Component} component - The component to re-render.
+	 */
+	function enqueueRender(component) {
+		if (!component._dirty) {
+			component._dirty = true;
+			renderQueue.push(component);
+		}
+		if (!flushScheduled) {
+			flushScheduled = true;
+			Promise.resolve().then(flushRenderQueue);
+		}
+	}
+
+	/**
+	 * Re-renders every dirty component, parents first. A parent re-render also
+	 * updates its dirty children, which are then skipped here.
+	 */
+	function flushRenderQueue() {
+		flushScheduled = false;
+		let uncaught = null;
+		while (renderQueue.length > 0) {
+			const queue = renderQueue.sort((a, b) => a._depth - b._depth);
+			renderQueue = [];
+			queue.forEach(component => {
+				if (!component._dirty) return;
+				// An error without a boundary must not leave the other components dirty forever
+				try {
+					component._flushUpdate();
+				} catch (error) {
+					if (!uncaught) uncaught = { error };
+				}
+			});
+		}
+		if (uncaught) throw uncaught.error;
+	}
+
+	/**
+	 * Runs a callback and synchronously flushes any updates it (or earlier code) queued.
+	 * @param {Function} [callback] - Function that queues updates.
+	 * @returns {*} The return value of `callback`.
+	 */
+	function flushSync(callback) {
+		const result = typeof callback === 'function' ? callback() : undefined;
+		flushRenderQueue();
+		return result;
+	}
+
+	/**
+	 * Returns the hook record for the current call, creating it on first render.
+	 * @returns {object} Hook record stored on the rendering component.
+	 */
+	function getHook() {
+		if (!currentComponent) {
+			throw new Error('Hooks can only be called inside the body of a functional component');
+		}
+		const hooks = currentComponent._hooks;
+		if (currentHookIndex >= hooks.length) {
+			hooks.push({});
+		}
+		return hooks[currentHookIndex++];
+	}
+
+	/**
+	 * Shallowly compares two objects by their own keys.
+	 * @param {object} a - First object.
+	 * @param {object} b - Second object.
+	 * @returns {boolean} True when both have the same keys with identical values.
+	 */
+	function shallowEqual(a, b) {
+		if (a === b) return true;
+		if (!a || !b) return false;
+		const keysA = Object.keys(a);
+		if (keysA.length !== Object.keys(b).length) return false;
+		return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+	}
+
+	/**
+	 * Checks whether a hook dependency list changed since the last render.
+	 * @param {Array|undefined} oldDeps - Previous dependencies.
+	 * @param {Array|undefined} newDeps - New dependencies.
+	 * @returns {boolean} True when the hook should run again.
+	 */
+	function depsChanged(oldDeps, newDeps) {
+		if (!oldDeps || !newDeps) return true;
+		if (oldDeps.length !== newDeps.length) return true;
+		return newDeps.some((dep, i) => !Object.is(dep, oldDeps[i]));
+	}
+
+	/**
+	 * Hook for state managed by a reducer function.
+	 * @param {Function} reducer - `(state, action) => newState`.
+	 * @param {*} initialArg - Initial state, or the argument passed to `init`.
+	 * @param {Function} [init] - Optional lazy initializer.
+	 * @returns {Array} `[state, dispatch]` pair.
+	 */
+	function useReducer(reducer, initialArg, init) {
+		const hook = getHook();
+		hook.reducer = reducer;
+
+		if (!hook.dispatch) {
+			const component = currentComponent;
+			hook.value = init ? init(initialArg) : initialArg;
+			hook.dispatch = (action) => {
+				const nextValue = hook.reducer(hook.value, action);
+				if (Object.is(nextValue, hook.value)) return;
+				hook.value = nextValue;
+				component.forceUpdate();
+			};
+		}
+
+		return [hook.value, hook.dispatch];
+	}
+
+	/**
+	 * Hook for local component state.
+	 * @param {*} initialState - Initial value, or a function returning it.
+	 * @returns {Array} `[state, setState]` pair. `setState` accepts a value or an updater function.
+	 */
+	function useState(initialState) {
+		return useReducer(
+			(state, action) => (typeof action === 'function' ? action(state) : action),
+			initialState,
+			(arg) => (typeof arg === 'function' ? arg() : arg)
+		);
+	}
+
+	/**
+	 * Queues an effect when its dependencies change.
+	 * The effect of each render is queued on its own, so a render landing before
+	 * deferred effects run does not replace the effect of the previous one.
+	 * @param {string} queue - Instance queue name (`_effects` or `_layoutEffects`).
+	 * @param {Function} effect - Effect callback, may return a cleanup function.
+	 * @param {Array} [deps] - Dependency list. Runs after every render when omitted.
+	 */
+	function queueEffect(queue, effect, deps) {
+		const hook = getHook();
+		if (depsChanged(hook.deps, deps)) {
+			hook.deps = deps;
+			currentComponent[queue].push({ hook, effect });
+		}
+	}
+
+	/**
+	 * Hook for side effects, run after the DOM is updated and the browser had a chance to paint.
+	 * @param {Function} effect - Effect callback, may return a cleanup function.
+	 * @param {Array} [deps] - Dependency list.
+	 */
+	function useEffect(effect, deps) {
+		queueEffect('_effects', effect, deps);
+	}
+
+	/**
+	 * Like `useEffect`, but runs synchronously right after the DOM is patched.
+	 * @param {Function} effect - Effect callback, may return a cleanup function.
+	 * @param {Array} [deps] - Dependency list.
+	 */
+	function useLayoutEffect(effect, deps) {
+		queueEffect('_layoutEffects', effect, deps);
+	}
+
+	/**
+	 * Hook for memoizing a computed value between renders.
+	 * @param {Function} factory - Function computing the value.
+	 * @param {Array} [deps] - Dependency list.
+	 * @returns {*} The memoized value.
+	 */
+	function useMemo(factory, deps) {
+		const hook = getHook();
+		if (depsChanged(hook.deps, deps)) {
+			hook.value = factory();
+			hook.deps = deps;
+		}
+		return hook.value;
+	}
+
+	/**
+	 * Hook for memoizing a callback between renders.
+	 * @param {Function} callback - The callback to memoize.
+	 * @param {Array} [deps] - Dependency list.
+	 * @returns {Function} The memoized callback.
+	 */
+	function useCallback(callback, deps) {
+		return useMemo(() => callback, deps);
+	}
+
+	/**
+	 * Hook for a mutable object that persists for the lifetime of the component.
+	 * @param {*} initialValue - Initial `current` value.
+	 * @returns {{current: *}} Ref object.
+	 */
+	function useRef(initialValue) {
+		return useMemo(() => ({ current: initialValue }), []);
+	}
+
+	/**
+	 * Hook for reading a context value. The component re-renders when the Provider's value changes.
+	 * @param {object} context - Context created by `createContext()`.
+	 * @returns {*} The value of the nearest Provider above, or the context's default value.
+	 */
+	function useContext(context) {
+		if (!currentComponent) {
+			throw new Error('Hooks can only be called inside the body of a functional component');
+		}
+		return readContext(currentComponent, context);
+	}
+
+	/**
+	 * Creates a simple global state store with optional localStorage persistence.
+	 * @param {*} initialState - The initial value of the store's state.
+	 * @param {object} [options={}] - Configuration options.
+	 * @param {string} [options.storageKey] - Key for localStorage persistence.
+	 * @returns {{getState: Function, setState: Function, subscribe: Function}} Store object.
+	 */
+	function createStore(initialState, options = {}) {
+		const { storageKey } = options;
+		let state = initialState;
+		const listeners = new Set();
+
+		if (storageKey) {
+			try {
+				const stored = localStorage.getItem(storageKey);
+				if (stored !== null) {
+					state = JSON.parse(stored);
+				}
+			} catch (e) {
+				// eslint-disable-next-line no-console
+				console.error(`PicoJSX Store: Error loading state for "${storageKey}"`, e);
+			}
+		}
+
+		function getState() {
+			return state;
 		}
 
 		function setState(updater) {
@@ -773,36 +2418,597 @@ const PicoJSX = (() => {
 		return { getState, setState, subscribe };
 	}
 
+	/**
+	 * Creates the root VNode for the values accepted by `render()` and the string renderers.
+	 * @param {*} vnode - VNode, component class, string, number, array or nothing.
+	 * @returns {object} Root VNode.
+	 */
+	function toRootVNode(vnode) {
+		if (typeof vnode === 'function' && vnode.isPicoClassComponent) {
+			return h(vnode, {});
+		}
+		return normalizeVNode(vnode);
+	}
+
+	/**
+	 * Throws unless `container` is a DOM element or a shadow root.
+	 * @param {*} container - Value passed as a container.
+	 */
+	function assertContainer(container) {
+		if (!container || !(container instanceof Element || container instanceof ShadowRoot)) {
+			throw new Error('Container must be a DOM element');
+		}
+	}
+
+	/**
+	 * Records how a container handles events the first time something is rendered into it.
+	 * The choice sticks until the container is unmounted.
+	 * @param {Element} container - Container element.
+	 * @param {{delegateEvents?: boolean}} [options] - Root options.
+	 */
+	function initRoot(container, options) {
+		if (container._picoEvents === undefined) {
+			container._picoEvents = options?.delegateEvents ? new Set() : null;
+		}
+	}
+
 	/**
 	 * Renders VNode tree into a target DOM element.
+	 * Rendering again into the same container diffs against the previous tree,
+	 * so component state, focus and DOM nodes are kept where the output matches.
 	 * @param {*} vnode - VNode tree or component to render.
 	 * @param {Element} container - Container element.
+	 * @param {{delegateEvents?: boolean}} [options] - With `delegateEvents`, the container
+	 *   listens once per event type instead of every element getting its own.
 	 */
-	function render(vnode, container) {
-		if (!container || !(container instanceof Element)) {
-			throw new Error('Container must be a DOM element');
+	function render(vnode, container, options) {
+		assertContainer(container);
+		initRoot(container, options);
+
+		vnode = toRootVNode(vnode);
+		const oldVNode = container._picoRoot;
+
+		// The container's own root, also when rendering from inside another commit (such as a
+		// custom element rendering its shadow root when PicoJSX inserts it)
+		commit(() => withEventRoot(findEventRoot(container), () => {
+			if (oldVNode && isSameVNode(oldVNode, vnode)) {
+				discardOnError(() => diff(container, oldVNode, vnode));
+			} else {
+				// First render, or a root with a different key: start from scratch
+				if (oldVNode) removeVNode(oldVNode);
+				container.textContent = '';
+				container.appendChild(discardOnError(() => createDOMElement(vnode, getChildNamespace(container))));
+			}
+
+			// Store for future updates. Not in `_vnode`: the container may be an element PicoJSX rendered itself
+			container._picoRoot = vnode;
+		}), container);
+	}
+
+	/**
+	 * Unmounts the tree rendered into a container: runs `componentWillUnmount`,
+	 * effect cleanups and ref callbacks, then removes the DOM nodes.
+	 * @param {Element} container - Container passed to `render()` or `hydrate()`.
+	 * @returns {boolean} True when there was a tree to unmount.
+	 */
+	function unmount(container) {
+		assertContainer(container);
+
+		const vnode = container._picoRoot;
+		if (!vnode) return false;
+
+		container._picoRoot = null;
+		removeVNode(vnode);
+
+		container._picoEvents?.forEach(type => {
+			container.removeEventListener(type, dispatchDelegatedEvent);
+			container.removeEventListener(type, dispatchDelegatedEvent, true);
+		});
+		container._picoEvents = undefined;
+		return true;
+	}
+
+	/**
+	 * Turns a hyphenated attribute name into a camelCase prop name, `max-items` to `maxItems`.
+	 * @param {string} name - Attribute name.
+	 * @returns {string} Prop name.
+	 */
+	function attributeToPropName(name) {
+		return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+	}
+
+	/**
+	 * Registers a custom element that renders a component, so it can be used in pages
+	 * that are not PicoJSX apps. Observed attributes become (camelCased) props and
+	 * changing one re-renders the component. With `shadow`, the component renders into
+	 * a shadow root and gets a `<slot>` as `props.children`, which shows the element's children.
+	 * @param {string} tagName - Custom element name, must contain a hyphen.
+	 * @param {Function} ComponentClass - Class or functional component to render.
+	 * @param {{observedAttributes?: string[], shadow?: boolean}} [options] - Element options.
+	 * @returns {Function} The custom element class.
+	 */
+	function defineElement(tagName, ComponentClass, options = {}) {
+		const { observedAttributes = [], shadow = false } = options;
+
+		class PicoElement extends HTMLElement {
+			static observedAttributes = observedAttributes;
+
+			constructor() {
+				super();
+				this._props = {};
+				this._connected = false;
+				this._root = shadow ? this.attachShadow({ mode: 'open' }) : this;
+			}
+
+			connectedCallback() {
+				this._connected = true;
+				this._render();
+			}
+
+			disconnectedCallback() {
+				this._connected = false;
+				unmount(this._root);
+			}
+
+			attributeChangedCallback(name, oldValue, newValue) {
+				const propName = attributeToPropName(name);
+				if (newValue === null) {
+					delete this._props[propName];
+				} else {
+					this._props[propName] = newValue;
+				}
+				// Attributes present at creation arrive before connectedCallback
+				if (this._connected) this._render();
+			}
+
+			_render() {
+				const children = shadow ? [h('slot', null)] : [];
+				render(h(ComponentClass, this._props, ...children), this._root);
+			}
 		}
 
-		// Clear and unmount existing content
-		while (container.firstChild) {
-			unmountComponent(container.firstChild);
-			container.removeChild(container.firstChild);
+		customElements.define(tagName, PicoElement);
+		return PicoElement;
+	}
+
+	/**
+	 * Whether development-only warnings are enabled.
+	 * Bundlers replace `process.env.NODE_ENV`, so production builds drop them.
+	 * @type {boolean}
+	 */
+	const isDevelopment = typeof process === 'undefined' || process.env?.NODE_ENV !== 'production';
+
+	/**
+	 * Logs a hydration mismatch in development.
+	 * @param {string} message - Description of the mismatch.
+	 */
+	function warnHydration(message) {
+		if (isDevelopment) {
+			// eslint-disable-next-line no-console
+			console.warn(`PicoJSX hydrate: ${message}`);
 		}
+	}
 
-		// Create root VNode if needed
-		if (typeof vnode === 'function' && vnode.isPicoClassComponent) {
-			vnode = h(vnode, {});
-		} else if (typeof vnode === 'string' || typeof vnode === 'number') {
-			vnode = { type: '#text', props: null, children: [], text: String(vnode) };
+	/**
+	 * Checks whether a DOM node is a comment with the given text.
+	 * @param {Node} node - DOM node.
+	 * @param {string} text - Expected comment text.
+	 * @returns {boolean} True when `node` is that comment.
+	 */
+	function isComment(node, text) {
+		return node?.nodeType === 8 && node.textContent === text;
+	}
+
+	/**
+	 * Attaches event listeners and refs to a server-rendered element, fixing attributes that differ.
+	 * @param {Element} element - Existing DOM element.
+	 * @param {object} props - Element props.
+	 */
+	function hydrateProps(element, props) {
+		for (let name in props) {
+			const value = props[name];
+
+			if (name === 'children' || name === 'key' || name === 'dangerouslySetInnerHTML') continue;
+
+			// Listeners, refs, styles, form-control and custom element properties are always applied, they don't re-create anything
+			if (name === 'ref' || name === 'style' || DOM_PROPERTIES.has(name) || isEventProp(name, value) || isCustomElementProperty(element, name)) {
+				applyProps(element, { [name]: value });
+				continue;
+			}
+
+			const attribute = isClassProp(name) ? 'class' : getAttributeName(name);
+			let matches;
+			if (isClassProp(name)) {
+				matches = (element.getAttribute('class') || '') === toClassName(value);
+			} else if (value === false || value === null || value === undefined) {
+				matches = !element.hasAttribute(attribute);
+			} else if (value === true) {
+				matches = element.hasAttribute(attribute);
+			} else {
+				matches = element.getAttribute(attribute) === String(value);
+			}
+
+			if (!matches) {
+				warnHydration(`attribute "${name}" on <${element.localName}> differs from the server, expected "${value}"`);
+				applyProps(element, { [name]: value });
+			}
+		}
+	}
+
+	/**
+	 * Removes server-rendered nodes left over after hydration. Whitespace is dropped silently.
+	 * @param {Node} parentDOM - Parent DOM node.
+	 * @param {Node|null} node - First leftover node.
+	 * @param {string} description - Parent description for the warning.
+	 */
+	function removeExtraNodes(parentDOM, node, description) {
+		let warned = false;
+		while (node) {
+			const next = node.nextSibling;
+			if (!warned && !(node.nodeType === 3 && !node.textContent.trim())) {
+				warnHydration(`${description} has extra nodes on the server`);
+				warned = true;
+			}
+			parentDOM.removeChild(node);
+			node = next;
 		}
+	}
 
-		// Create and append DOM
-		const dom = createDOMElement(vnode);
-		container.appendChild(dom);
-		
-		// Store for future updates
-		container._vnode = vnode;
-		container._rootDOM = dom;
+	/**
+	 * Hydrates a list of child VNodes against consecutive DOM siblings.
+	 * @param {Node} parentDOM - Parent DOM node.
+	 * @param {Array} children - Child VNodes.
+	 * @param {Node|null} dom - First DOM node to hydrate.
+	 * @returns {Node|null} The first DOM node after the hydrated children.
+	 */
+	function hydrateChildren(parentDOM, children, dom) {
+		claimChildren(children).forEach(child => {
+			dom = hydrateVNode(child, dom, parentDOM).next;
+		});
+		return dom;
+	}
+
+	/**
+	 * Walks an existing DOM node alongside a VNode, adopting the node instead of re-creating it.
+	 * Falls back to creating fresh DOM when the structure doesn't match.
+	 * @param {object} vnode - VNode to hydrate.
+	 * @param {Node|null} dom - DOM node expected to match `vnode`.
+	 * @param {Node} parentDOM - Parent DOM node.
+	 * @returns {{dom: Node, next: Node|null}} The node now representing `vnode`, and the next sibling to hydrate.
+	 */
+	function hydrateVNode(vnode, dom, parentDOM) {
+		// Drop the separators `renderToString` puts between adjacent text nodes
+		while (isComment(dom, '') || (vnode?.type !== '#text' && dom?.nodeType === 3 && !dom.textContent.trim())) {
+			const next = dom.nextSibling;
+			parentDOM.removeChild(dom);
+			dom = next;
+		}
+
+		const replace = (message) => {
+			if (message) warnHydration(message);
+			const created = createDOMElement(vnode, getChildNamespace(parentDOM));
+			const first = created.nodeType === 11 ? created.firstChild : created;
+			const next = dom ? dom.nextSibling : null;
+			if (dom) {
+				parentDOM.replaceChild(created, dom);
+			} else {
+				parentDOM.appendChild(created);
+			}
+			return { dom: first, next };
+		};
+
+		// Empty text has no server markup, so it's always created
+		if (!vnode || (vnode.type === '#text' && !vnode.text)) {
+			const created = document.createTextNode('');
+			if (vnode) vnode._dom = created;
+			parentDOM.insertBefore(created, dom);
+			return { dom: created, next: dom };
+		}
+
+		if (vnode.type === '#text') {
+			if (dom?.nodeType !== 3) {
+				return replace(`expected text "${vnode.text}"`);
+			}
+			if (dom.textContent !== vnode.text) {
+				warnHydration(`text content differs from the server, expected "${vnode.text}" but found "${dom.textContent}"`);
+				dom.textContent = vnode.text;
+			}
+			vnode._dom = dom;
+			return { dom, next: dom.nextSibling };
+		}
+
+		if (vnode.type === Fragment) {
+			if (!isComment(dom, 'fragment-start')) {
+				return replace('expected a fragment start marker');
+			}
+			vnode._startMarker = dom;
+			let end = hydrateChildren(parentDOM, vnode.children, dom.nextSibling);
+			if (!isComment(end, 'fragment-end')) {
+				warnHydration('expected a fragment end marker');
+				const marker = document.createComment('fragment-end');
+				parentDOM.insertBefore(marker, end);
+				end = marker;
+			}
+			vnode._endMarker = end;
+			return { dom, next: end.nextSibling };
+		}
+
+		// Portals are not part of the server markup
+		if (vnode.type === Portal) {
+			const placeholder = createDOMElement(vnode);
+			parentDOM.insertBefore(placeholder, dom);
+			return { dom: placeholder, next: dom };
+		}
+
+		if (typeof vnode.type === 'function') {
+			const instance = getInstance(vnode);
+			vnode._instance = instance;
+			instance._vnode = vnode;
+
+			const childVNode = renderComponent(instance);
+			instance._childVNode = childVNode;
+
+			const result = withParent(instance, () => hydrateVNode(childVNode, dom, parentDOM));
+			instance._dom = result.dom;
+			instance._dom._picoInstance = instance;
+
+			scheduleMount(instance);
+
+			return result;
+		}
+
+		if (typeof vnode.type === 'string') {
+			if (dom?.nodeType !== 1 || dom.localName.toLowerCase() !== vnode.type.toLowerCase()) {
+				return replace(`expected <${vnode.type}> but found ${dom ? `"${dom.nodeName.toLowerCase()}"` : 'nothing'}`);
+			}
+
+			hydrateProps(dom, vnode.props);
+			// The server wrote a textarea's value as its text, which isn't a child to hydrate:
+			// removing it would clear the value
+			if (vnode.props?.dangerouslySetInnerHTML?.__html === undefined && vnode.type !== 'textarea') {
+				const extra = hydrateChildren(dom, vnode.children, dom.firstChild);
+				removeExtraNodes(dom, extra, `<${vnode.type}>`);
+				syncSelectValue(dom, vnode.props);
+			}
+			dom._vnode = vnode;
+			vnode._dom = dom;
+
+			return { dom, next: dom.nextSibling };
+		}
+
+		return replace();
+	}
+
+	/**
+	 * Attaches to markup produced by `renderToString()` instead of re-creating it:
+	 * existing nodes are adopted, listeners and refs attached and components mounted.
+	 * @param {*} vnode - VNode tree or component to hydrate.
+	 * @param {Element} container - Container holding the server-rendered markup.
+	 * @param {{delegateEvents?: boolean}} [options] - Same as for `render()`.
+	 */
+	function hydrate(vnode, container, options) {
+		assertContainer(container);
+		initRoot(container, options);
+
+		vnode = toRootVNode(vnode);
+
+		// The container's own root, also when hydrating from inside another commit
+		commit(() => withEventRoot(findEventRoot(container), () => {
+			const { next } = hydrateVNode(vnode, container.firstChild, container);
+			removeExtraNodes(container, next, 'the container');
+
+			// Store for future updates
+			container._picoRoot = vnode;
+		}), container);
+	}
+
+	/**
+	 * Elements that never have children or a closing tag.
+	 * @type {Set<string>}
+	 */
+	const VOID_ELEMENTS = new Set([
+		'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+		'link', 'meta', 'param', 'source', 'track', 'wbr',
+	]);
+
+	const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+	/**
+	 * Escapes a value for use in HTML text or a quoted attribute.
+	 * @param {*} value - Value to escape.
+	 * @returns {string} Escaped string.
+	 */
+	function escapeHtml(value) {
+		return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+	}
+
+	/**
+	 * Serializes a style object (camelCase keys) to a CSS declaration string.
+	 * @param {object} style - Style object.
+	 * @returns {string} CSS text.
+	 */
+	function styleToString(style) {
+		return Object.keys(style)
+			.filter(key => toCSSValue(key, style[key]) !== '')
+			.map(key => `${toCSSProperty(key)}:${toCSSValue(key, style[key])}`)
+			.join(';');
+	}
+
+	/**
+	 * Valid tag and attribute names. Props may be spread from untrusted data, so anything
+	 * else is left out of the markup instead of letting it break out of the tag.
+	 */
+	const VALID_TAG_NAME = /^[a-zA-Z][a-zA-Z:_.\-\d]*$/;
+	const ATTRIBUTE_NAME_START = ':A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD';
+	// Combining marks are allowed after the first character, as in XML names
+	// eslint-disable-next-line no-misleading-character-class
+	const VALID_ATTRIBUTE_NAME = new RegExp(`^[${ATTRIBUTE_NAME_START}][${ATTRIBUTE_NAME_START}\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*$`);
+
+	/**
+	 * Serializes element props to an HTML attribute string, mirroring `applyProps()`.
+	 * @param {object} props - Element props.
+	 * @param {string} [tag] - Element tag name.
+	 * @returns {string} Attributes, each preceded by a space.
+	 */
+	function renderAttributes(props, tag = '') {
+		let html = '';
+		for (let name in props) {
+			const value = props[name];
+
+			if (name === 'children' || name === 'key' || name === 'ref' || name === 'dangerouslySetInnerHTML') continue;
+			if (typeof value === 'function' || isEventProp(name, value) || value === false || value === null || value === undefined) continue;
+			// Custom elements get objects and arrays as properties once hydrated
+			if (tag.includes('-') && typeof value === 'object' && name !== 'style' && !isClassProp(name)) continue;
+			if (!VALID_ATTRIBUTE_NAME.test(name)) {
+				if (isDevelopment) {
+					// eslint-disable-next-line no-console
+					console.warn(`PicoJSX: skipped invalid attribute name ${JSON.stringify(name)}`);
+				}
+				continue;
+			}
+
+			if (isClassProp(name)) {
+				const className = toClassName(value);
+				if (className) html += ` class="${escapeHtml(className)}"`;
+			} else if (name === 'indeterminate') {
+				continue;
+			} else if (name === 'defaultValue' || name === 'defaultChecked') {
+				html += renderAttributes({ [name === 'defaultValue' ? 'value' : 'checked']: value });
+			} else if (name === 'style') {
+				const css = typeof value === 'object' ? styleToString(value) : value;
+				if (css) html += ` style="${escapeHtml(css)}"`;
+			} else if (value === true) {
+				html += ` ${getAttributeName(name)}`;
+			} else {
+				html += ` ${getAttributeName(name)}="${escapeHtml(value)}"`;
+			}
+		}
+		return html;
+	}
+
+	/**
+	 * Values of the `<select>` being rendered to a string, used to mark its options as selected.
+	 * @type {string[]|undefined}
+	 */
+	let currentSelectValue;
+
+	/**
+	 * Renders a list of child VNodes to HTML.
+	 * @param {Array} children - Child VNodes.
+	 * @param {boolean} hydratable - Whether to emit markers needed by `hydrate()`.
+	 * @returns {string} HTML string.
+	 */
+	function renderChildrenToString(children, hydratable) {
+		return children.map(child => renderVNodeToString(child, hydratable)).join('');
+	}
+
+	/**
+	 * Whether the markup rendered so far ends with text. Text rendered right after it, also from
+	 * another component, needs a separator: the HTML parser would merge both into one text node.
+	 * @type {boolean}
+	 */
+	let endsWithText = false;
+
+	/**
+	 * Renders a VNode to HTML without touching the DOM.
+	 * Components are constructed and rendered, but `componentDidMount` and effects never run.
+	 * @param {object} vnode - VNode to render.
+	 * @param {boolean} hydratable - Whether to emit markers needed by `hydrate()`.
+	 * @returns {string} HTML string.
+	 */
+	function renderVNodeToString(vnode, hydratable) {
+		if (!vnode) return '';
+
+		if (vnode.type === '#text') {
+			// Empty text has no markup, `hydrate()` creates it
+			if (!vnode.text) return '';
+			const separator = hydratable && endsWithText ? '<!---->' : '';
+			endsWithText = true;
+			return separator + escapeHtml(vnode.text);
+		}
+
+		// Portals render into another container, which only exists on the client
+		if (vnode.type === Portal) return '';
+
+		if (vnode.type === Fragment) {
+			if (!hydratable) return renderChildrenToString(vnode.children, hydratable);
+			endsWithText = false;
+			const html = renderChildrenToString(vnode.children, hydratable);
+			endsWithText = false;
+			return `<!--fragment-start-->${html}<!--fragment-end-->`;
+		}
+
+		if (typeof vnode.type === 'function') {
+			const instance = createInstance(vnode);
+			instance._vnode = vnode;
+			const childVNode = renderComponent(instance);
+			return withParent(instance, () => renderVNodeToString(childVNode, hydratable));
+		}
+
+		if (typeof vnode.type === 'string') {
+			if (!VALID_TAG_NAME.test(vnode.type)) {
+				throw new Error(`Invalid tag name: ${JSON.stringify(vnode.type)}`);
+			}
+			endsWithText = false;
+
+			let props = vnode.props || {};
+			let inner;
+
+			// Form-control values are properties in the DOM, but markup in HTML
+			if (vnode.type === 'textarea') {
+				const text = props.value ?? props.defaultValue;
+				if (text !== undefined && text !== null) inner = escapeHtml(text);
+				props = { ...props, value: undefined, defaultValue: undefined };
+			} else if (vnode.type === 'select') {
+				const value = props.value ?? props.defaultValue;
+				props = { ...props, value: undefined, defaultValue: undefined };
+				const prevSelectValue = currentSelectValue;
+				currentSelectValue = value === undefined || value === null
+					? undefined
+					: (Array.isArray(value) ? value : [value]).map(String);
+				try {
+					inner = renderChildrenToString(vnode.children, hydratable);
+				} finally {
+					currentSelectValue = prevSelectValue;
+				}
+			} else if (vnode.type === 'option' && currentSelectValue) {
+				const optionValue = props.value ?? vnode.children.map(child => child.text || '').join('');
+				props = { ...props, selected: currentSelectValue.includes(String(optionValue)) };
+			}
+
+			const html = `<${vnode.type}${renderAttributes(props, vnode.type)}>`;
+			if (VOID_ELEMENTS.has(vnode.type)) return html;
+
+			if (props.dangerouslySetInnerHTML?.__html !== undefined) {
+				inner = props.dangerouslySetInnerHTML.__html;
+			} else if (inner === undefined) {
+				inner = renderChildrenToString(vnode.children, hydratable);
+			}
+			endsWithText = false;
+			return `${html}${inner}</${vnode.type}>`;
+		}
+
+		return '';
+	}
+
+	/**
+	 * Renders a VNode tree to an HTML string that `hydrate()` can attach to.
+	 * Runs without a DOM, so it can be used on the server.
+	 * @param {*} vnode - VNode tree or component to render.
+	 * @returns {string} HTML string.
+	 */
+	function renderToString(vnode) {
+		endsWithText = false;
+		return renderVNodeToString(toRootVNode(vnode), true);
+	}
+
+	/**
+	 * Renders a VNode tree to plain HTML, without the markers used for hydration.
+	 * @param {*} vnode - VNode tree or component to render.
+	 * @returns {string} HTML string.
+	 */
+	function renderToStaticMarkup(vnode) {
+		return renderVNodeToString(toRootVNode(vnode), false);
 	}
 
 	/**
@@ -902,11 +3108,56 @@ const PicoJSX = (() => {
 		h,
 		Fragment,
 		render,
+		hydrate,
+		unmount,
+		defineElement,
+		renderToString,
+		renderToStaticMarkup,
 		Component,
+		PureComponent,
+		memo,
+		forwardRef,
+		flushSync,
+		createContext,
+		createPortal,
 		createStore,
 		Router,
+		useState,
+		useReducer,
+		useEffect,
+		useLayoutEffect,
+		useRef,
+		useMemo,
+		useCallback,
+		useContext,
 	};
 })();
 
 export default PicoJSX;
-export const { h, Fragment, render, Component, createStore, Router } = PicoJSX;
+export const {
+	h,
+	Fragment,
+	render,
+	hydrate,
+	unmount,
+	defineElement,
+	renderToString,
+	renderToStaticMarkup,
+	Component,
+	PureComponent,
+	memo,
+	forwardRef,
+	flushSync,
+	createContext,
+	createPortal,
+	createStore,
+	Router,
+	useState,
+	useReducer,
+	useEffect,
+	useLayoutEffect,
+	useRef,
+	useMemo,
+	useCallback,
+	useContext,
+} = PicoJSX;